@@ -0,0 +1,121 @@
+'use strict';
+var Promise = require('bluebird'),
+    errors = require('./errors'),
+    u = require('./utilities');
+
+/**
+ * Composes calls and notifications into a single batch request
+ *
+ * @param {RpcClient} client the client used to send the batch
+ * @constructor
+ */
+function BatchBuilder(client) {
+  this._client = client;
+  this._entries = [];
+  this._sent = false;
+}
+
+/**
+ * Add a call to the batch
+ *
+ * @param method    the method to call on the remote endpoint
+ * @param params    parameters to call the method with remotely
+ * @return a promise for the result of this entry, settled when the batch response arrives
+ */
+BatchBuilder.prototype.call = function(method) {
+  var entry = this._addEntry(method, Array.prototype.slice.call(arguments, 1));
+  entry.request.id = this._entries.length - 1;
+  entry.promise = new Promise(function(resolve, reject) {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+
+  return entry.promise;
+};
+
+/**
+ * Add a notification to the batch
+ *
+ * @param method    the method to call on the remote endpoint
+ * @param params    parameters to call the method with remotely
+ * @return a promise settled when the batch has been sent
+ */
+BatchBuilder.prototype.notify = function(method) {
+  var entry = this._addEntry(method, Array.prototype.slice.call(arguments, 1));
+  entry.promise = new Promise(function(resolve, reject) {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+
+  return entry.promise;
+};
+
+/**
+ * Send all entries as a single batch message
+ *
+ * @param {Object} [options] per-call options, as accepted by `RpcClient.callWithOptions`
+ * @return a promise for the `BatchResult`, or undefined if the batch only contains notifications
+ */
+BatchBuilder.prototype.send = function(options) {
+  if (this._sent) return Promise.reject(new errors.BadRequestError('batch already sent'));
+  if (!this._entries.length) return Promise.reject(new errors.BadRequestError('empty batch'));
+  this._sent = true;
+
+  var entries = this._entries,
+      requests = entries.map(function(e) { return e.request; }),
+      calls = entries.filter(function(e) { return e.request.hasOwnProperty('id'); }),
+      notifications = entries.filter(function(e) { return !e.request.hasOwnProperty('id'); });
+
+  var sent = !calls.length ? this._client.notify(requests) :
+    this._client.callWithOptions(requests, options);
+
+  return Promise.resolve(sent)
+    .then(function(result) {
+      notifications.forEach(function(e) { e.resolve(); });
+      if (!calls.length) return;
+
+      // middleware, or an interceptor, prevented the batch from being sent
+      if (!result) {
+        calls.forEach(function(e) { e.reject(new errors.BadRequestError('batch not sent')); });
+        return;
+      }
+
+      // match responses by id, falling back to their position in the batch
+      var responses = {};
+      result.entries.forEach(function(r, idx) {
+        responses[r.hasOwnProperty('id') ? r.id : idx] = r;
+      });
+
+      calls.forEach(function(e) {
+        var response = responses[e.request.id];
+        if (!response) {
+          e.reject(new errors.BadRequestError('missing response for batch entry: ' + e.request.id));
+        } else if (response.status === 'rejected') {
+          e.reject(response.reason);
+        } else {
+          e.resolve(response.value);
+        }
+      });
+
+      return result;
+    })
+    .catch(function(err) {
+      entries.forEach(function(e) { e.reject(err); });
+      throw err;
+    });
+};
+
+// private api
+BatchBuilder.prototype._addEntry = function(method, args) {
+  if (this._sent) throw new errors.BadRequestError('batch already sent');
+
+  var request = { method: method },
+      params = u.formatParams(args);
+  if (params !== undefined) request.params = params;
+
+  var entry = { request: request };
+  this._entries.push(entry);
+  return entry;
+};
+
+module.exports = BatchBuilder;
@@ -0,0 +1,77 @@
+'use strict';
+var errors = require('./errors');
+
+/**
+ * The result of a batch request, where each entry is either a fulfilled
+ * value or a rejected `ProtocolError`
+ *
+ * @param {Array} responses the raw batch response from the server
+ * @constructor
+ */
+function BatchResult(responses) {
+  this.entries = responses.map(function(r) {
+    var entry = (!!r && r.hasOwnProperty('error')) ?
+      { status: 'rejected', reason: errors.wrapProtocolError(r.error) } :
+      { status: 'fulfilled', value: (!!r && r.hasOwnProperty('result')) ? r.result : r };
+
+    if (!!r && r.hasOwnProperty('id')) entry.id = r.id;
+    return entry;
+  });
+
+  this.length = this.entries.length;
+}
+
+/**
+ * Inspect all entries of the batch, in the same shape as `Promise.allSettled`
+ *
+ * @return {Array} a list of `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }`
+ */
+BatchResult.prototype.allSettled = function() {
+  return this.entries.map(function(e) {
+    return (e.status === 'fulfilled') ?
+      { status: e.status, value: e.value } : { status: e.status, reason: e.reason };
+  });
+};
+
+BatchResult.prototype.isFulfilled = function(index) {
+  return this.entries[index].status === 'fulfilled';
+};
+
+BatchResult.prototype.isRejected = function(index) {
+  return this.entries[index].status === 'rejected';
+};
+
+/**
+ * Returns the value of an entry, throwing its error if the entry was rejected
+ *
+ * @param {Number} index the index of the entry in the batch
+ */
+BatchResult.prototype.get = function(index) {
+  var entry = this.entries[index];
+  if (entry.status === 'rejected') throw entry.reason;
+  return entry.value;
+};
+
+/**
+ * Returns all entries as a flat list of values and `ProtocolError`s
+ */
+BatchResult.prototype.values = function() {
+  return this.entries.map(function(e) {
+    return (e.status === 'fulfilled') ? e.value : e.reason;
+  });
+};
+
+/**
+ * Returns the errors of all rejected entries
+ */
+BatchResult.prototype.errors = function() {
+  return this.entries
+    .filter(function(e) { return e.status === 'rejected'; })
+    .map(function(e) { return e.reason; });
+};
+
+BatchResult.prototype.hasErrors = function() {
+  return this.entries.some(function(e) { return e.status === 'rejected'; });
+};
+
+module.exports = BatchResult;
@@ -0,0 +1,61 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter,
+    util = require('util'),
+    errors = require('./errors');
+
+/**
+ * A token used to signal cancellation of an in-flight rpc request
+ *
+ * @constructor
+ */
+function CancellationToken() {
+  EventEmitter.call(this);
+  this.isCancelled = false;
+  this.reason = undefined;
+}
+util.inherits(CancellationToken, EventEmitter);
+
+/**
+ * Cancel the token, notifying all subscribers
+ *
+ * @param [reason] an optional reason for the cancellation
+ */
+CancellationToken.prototype.cancel = function(reason) {
+  if (this.isCancelled) return;
+  this.isCancelled = true;
+  this.reason = reason;
+  this.emit('cancelled', reason);
+};
+
+/**
+ * Throws a `RequestCancelledError` if the token has been cancelled
+ */
+CancellationToken.prototype.throwIfCancelled = function() {
+  if (this.isCancelled) throw new errors.RequestCancelledError();
+};
+
+/**
+ * Determines whether a token, or AbortSignal-like object, has been cancelled
+ */
+CancellationToken.isCancelled = function(token) {
+  return !!token && (!!token.isCancelled || !!token.aborted);
+};
+
+/**
+ * Subscribe to cancellation of a token, or AbortSignal-like object
+ *
+ * @param token     a `CancellationToken` or an object with `aborted` and `addEventListener`
+ * @param callback  called once when the token is cancelled
+ * @return a function which removes the subscription
+ */
+CancellationToken.subscribe = function(token, callback) {
+  if (typeof token.addEventListener === 'function') {
+    token.addEventListener('abort', callback);
+    return function() { token.removeEventListener('abort', callback); };
+  }
+
+  token.once('cancelled', callback);
+  return function() { token.removeListener('cancelled', callback); };
+};
+
+module.exports = CancellationToken;
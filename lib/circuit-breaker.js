@@ -0,0 +1,130 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter,
+    util = require('util'),
+    errors = require('./errors');
+
+var State = {
+  Closed: 'closed',
+  Open: 'open',
+  HalfOpen: 'halfOpen'
+};
+
+/**
+ * Determines whether an error counts as a failure by default: timeouts, servers
+ * which are busy or timed out, and errors that did not originate from this
+ * library. Other protocol errors are responses from a healthy server, so they
+ * don't count.
+ */
+function isFailure(err) {
+  if (err instanceof errors.RequestTimeoutError) return true;
+  if (err instanceof errors.ServerBusyError || err instanceof errors.ServerTimeoutError) return true;
+  return !(err instanceof errors.BaseError) && !(err instanceof errors.ProtocolError);
+}
+
+/**
+ * Tracks failures per target address and method, failing calls fast while
+ * a circuit is open
+ *
+ * @param {Object} [options] circuit breaker options
+ * @param {Number} [options.threshold] consecutive failures before a circuit opens
+ * @param {Number} [options.resetTimeout] time in ms before an open circuit allows a probe
+ * @param {Function} [options.isFailure] predicate determining which errors count as failures
+ * @constructor
+ */
+function CircuitBreaker(options) {
+  EventEmitter.call(this);
+  options = options || {};
+  this.threshold = options.threshold || 5;
+  this.resetTimeout = options.hasOwnProperty('resetTimeout') ? options.resetTimeout : 10000;
+  this._isFailure = (typeof options.isFailure === 'function') ? options.isFailure : isFailure;
+  this._circuits = {};
+}
+util.inherits(CircuitBreaker, EventEmitter);
+
+CircuitBreaker.State = State;
+
+/**
+ * Returns the state of the circuit for an address and method
+ */
+CircuitBreaker.prototype.state = function(address, method) {
+  var key = circuitKey(address, method);
+  return this._circuits.hasOwnProperty(key) ? this._circuits[key].state : State.Closed;
+};
+
+/**
+ * Acquire permission to make a call, throwing a `CircuitOpenError` if the
+ * circuit is open
+ *
+ * @return the circuit, to be passed to `success`, `failure` or `release`
+ */
+CircuitBreaker.prototype.acquire = function(address, method) {
+  var key = circuitKey(address, method);
+  if (!this._circuits.hasOwnProperty(key)) {
+    this._circuits[key] = {
+      address: address, method: method, state: State.Closed,
+      failures: 0, openedAt: null, probing: false
+    };
+  }
+
+  var circuit = this._circuits[key];
+  if (circuit.state === State.Open) {
+    if (Date.now() - circuit.openedAt < this.resetTimeout)
+      throw new errors.CircuitOpenError(address, method);
+    this._transition(circuit, State.HalfOpen);
+  }
+
+  if (circuit.state === State.HalfOpen) {
+    if (circuit.probing) throw new errors.CircuitOpenError(address, method);
+    circuit.probing = true;
+  }
+
+  return circuit;
+};
+
+CircuitBreaker.prototype.success = function(circuit) {
+  circuit.failures = 0;
+  circuit.probing = false;
+  if (circuit.state !== State.Closed) this._transition(circuit, State.Closed);
+};
+
+/**
+ * Record a failed call. Errors which don't count as failures only close the
+ * circuit when they are responses from the server, errors raised locally,
+ * e.g. when a call was rejected before being sent, release it instead.
+ */
+CircuitBreaker.prototype.failure = function(circuit, err) {
+  if (!this._isFailure(err)) {
+    if (err instanceof errors.ProtocolError) return this.success(circuit);
+    return this.release(circuit);
+  }
+
+  circuit.failures++;
+  circuit.probing = false;
+  if (circuit.state === State.HalfOpen || circuit.failures >= this.threshold) {
+    circuit.openedAt = Date.now();
+    if (circuit.state !== State.Open) this._transition(circuit, State.Open);
+  }
+};
+
+/**
+ * Release a circuit without recording an outcome, e.g. for cancelled calls
+ */
+CircuitBreaker.prototype.release = function(circuit) {
+  circuit.probing = false;
+};
+
+// private api
+function circuitKey(address, method) {
+  return address + '#' + method;
+}
+
+CircuitBreaker.prototype._transition = function(circuit, state) {
+  var previousState = circuit.state;
+  circuit.state = state;
+  this.emit('stateChanged', {
+    address: circuit.address, method: circuit.method,
+    state: state, previousState: previousState
+  });
+};
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,111 @@
+'use strict';
+var notepack = require('notepack.io'),
+    errors = require('./errors');
+
+var ContentType = {
+  Json: 'application/json',
+  MsgPack: 'application/msgpack',
+  OctetStream: 'application/octet-stream'
+};
+
+function parseJson(body) {
+  return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+}
+
+/**
+ * Bodies sent as AMQP typed values, used for messages without a content type.
+ * String bodies are parsed as JSON for peers which send serialized requests.
+ */
+var DefaultCodec = {
+  encode: function(value) { return value; },
+  decode: function(body) { return (typeof body === 'string') ? parseJson(body) : body; }
+};
+
+var JsonCodec = {
+  encode: function(value) { return JSON.stringify(value); },
+  decode: parseJson
+};
+
+var MsgPackCodec = {
+  encode: function(value) { return notepack.encode(value); },
+  decode: function(body) { return notepack.decode(body); }
+};
+
+/**
+ * Raw binary values, Buffers are passed through unchanged rather than being
+ * parsed or serialized as JSON
+ */
+var BufferCodec = {
+  encode: function(value) { return value; },
+  decode: function(body) { return body; }
+};
+
+/**
+ * Normalizes a content type for lookup, ignoring case and parameters
+ * such as `charset`
+ */
+function normalize(contentType) {
+  if (contentType === undefined || contentType === null) return '';
+  return String(contentType).split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * A registry of codecs used to encode and decode message bodies, selected by
+ * the `contentType` message property
+ *
+ * @param {Object} [codecs] additional codecs, mapping content types to `{ encode, decode }`
+ * @constructor
+ */
+function CodecRegistry(codecs) {
+  this._codecs = {};
+  this.register('', DefaultCodec);
+  this.register(ContentType.Json, JsonCodec);
+  this.register(ContentType.MsgPack, MsgPackCodec);
+  this.register('application/x-msgpack', MsgPackCodec);
+  this.register('application/vnd.msgpack', MsgPackCodec);
+  this.register(ContentType.OctetStream, BufferCodec);
+
+  var self = this;
+  if (!!codecs) {
+    Object.keys(codecs).forEach(function(contentType) {
+      self.register(contentType, codecs[contentType]);
+    });
+  }
+}
+
+CodecRegistry.ContentType = ContentType;
+
+/**
+ * Register a codec for a content type, replacing any existing one
+ *
+ * @param {String} contentType the content type handled by the codec
+ * @param {Object} codec an object with `encode(value)` and `decode(body)` functions
+ */
+CodecRegistry.prototype.register = function(contentType, codec) {
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function')
+    throw new errors.InvalidCodecError('missing encode or decode for ' + contentType);
+
+  this._codecs[normalize(contentType)] = codec;
+};
+
+/**
+ * Returns the codec for a content type, or undefined if there is none
+ *
+ * @param {String} [contentType] the content type, the default codec is used if omitted
+ */
+CodecRegistry.prototype.get = function(contentType) {
+  var key = normalize(contentType);
+  return this._codecs.hasOwnProperty(key) ? this._codecs[key] : undefined;
+};
+
+/**
+ * Create a registry from user provided options
+ *
+ * @param {CodecRegistry|Object} [codecs] a registry, or additional codecs to register
+ */
+CodecRegistry.create = function(codecs) {
+  if (codecs instanceof CodecRegistry) return codecs;
+  return new CodecRegistry(codecs);
+};
+
+module.exports = CodecRegistry;
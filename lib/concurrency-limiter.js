@@ -0,0 +1,99 @@
+'use strict';
+var Promise = require('bluebird'),
+    errors = require('./errors'),
+    CancellationToken = require('./cancellation-token');
+
+/**
+ * Limits the number of concurrent executions of a function, queueing calls
+ * over the limit
+ *
+ * @param {Number} maxConcurrent the maximum number of concurrent executions
+ * @param {Number} [maxQueued] the maximum number of queued calls, or -1 for no limit
+ * @constructor
+ */
+function ConcurrencyLimiter(maxConcurrent, maxQueued) {
+  this.maxConcurrent = maxConcurrent;
+  this.maxQueued = (maxQueued === undefined) ? -1 : maxQueued;
+  this.running = 0;
+  this._queue = [];
+}
+
+/**
+ * The number of calls waiting for a free slot
+ */
+Object.defineProperty(ConcurrencyLimiter.prototype, 'queued', {
+  get: function() { return this._queue.length; }
+});
+
+/**
+ * Runs a function once a slot is free, rejecting with a `ServerBusyError` if
+ * the queue is full
+ *
+ * @param {Function} fn a function optionally returning a promise
+ * @param {CancellationToken} [cancellationToken] a token removing the call from the queue when cancelled
+ */
+ConcurrencyLimiter.prototype.run = function(fn, cancellationToken) {
+  var self = this;
+  return this._acquire(cancellationToken)
+    .then(function() {
+      return Promise.try(fn).finally(function() { self._release(); });
+    });
+};
+
+/**
+ * Changes the limits, starting queued calls if there are free slots. Calls
+ * already queued over a lower `maxQueued` remain queued.
+ *
+ * @param {Number} maxConcurrent the maximum number of concurrent executions
+ * @param {Number} [maxQueued] the maximum number of queued calls, or -1 for no limit
+ */
+ConcurrencyLimiter.prototype.setLimits = function(maxConcurrent, maxQueued) {
+  this.maxConcurrent = maxConcurrent;
+  this.maxQueued = (maxQueued === undefined) ? -1 : maxQueued;
+  while (this.running < this.maxConcurrent && this._queue.length) {
+    var entry = this._queue.shift();
+    if (!!entry.unsubscribe) entry.unsubscribe();
+    this.running++;
+    entry.resolve();
+  }
+};
+
+// private api
+ConcurrencyLimiter.prototype._acquire = function(cancellationToken) {
+  if (this.running < this.maxConcurrent) {
+    this.running++;
+    return Promise.resolve();
+  }
+
+  if (this.maxQueued >= 0 && this._queue.length >= this.maxQueued)
+    return Promise.reject(new errors.ServerBusyError());
+
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    var entry = { resolve: resolve };
+    if (!!cancellationToken) {
+      entry.unsubscribe = CancellationToken.subscribe(cancellationToken, function() {
+        var idx = self._queue.indexOf(entry);
+        if (idx === -1) return;
+        self._queue.splice(idx, 1);
+        reject(new errors.RequestCancelledError());
+      });
+    }
+
+    self._queue.push(entry);
+  });
+};
+
+ConcurrencyLimiter.prototype._release = function() {
+  var entry = this._queue.shift();
+  if (!entry) {
+    this.running--;
+    return;
+  }
+
+  // the slot is handed over to the next queued call
+  if (!!entry.unsubscribe) entry.unsubscribe();
+  entry.resolve();
+};
+
+module.exports = ConcurrencyLimiter;
@@ -70,6 +70,45 @@ errors.InvalidValidationDefinitionError = function(message) {
 };
 util.inherits(errors.InvalidValidationDefinitionError, errors.BaseError);
 
+/**
+ * An error thrown when registering an invalid codec, or using an unknown content type
+ *
+ * @param message a description of the problem
+ * @extends BaseError
+ * @constructor
+ */
+errors.InvalidCodecError = function(message) {
+  errors.BaseError.call(this, 'Invalid codec: ' + message);
+  this.name = 'AmqpRpcInvalidCodecError';
+};
+util.inherits(errors.InvalidCodecError, errors.BaseError);
+
+/**
+ * An error thrown when an attempt to define an application error with an invalid code is made
+ *
+ * @param message a description of the problem
+ * @extends BaseError
+ * @constructor
+ */
+errors.InvalidErrorDefinitionError = function(message) {
+  errors.BaseError.call(this, 'Invalid error definition: ' + message);
+  this.name = 'AmqpRpcInvalidErrorDefinitionError';
+};
+util.inherits(errors.InvalidErrorDefinitionError, errors.BaseError);
+
+/**
+ * An error thrown when an attempt to use invalid middleware is made
+ *
+ * @param message a description of the problem
+ * @extends BaseError
+ * @constructor
+ */
+errors.InvalidMiddlewareError = function(message) {
+  errors.BaseError.call(this, 'Invalid middleware: ' + message);
+  this.name = 'AmqpRpcInvalidMiddlewareError';
+};
+util.inherits(errors.InvalidMiddlewareError, errors.BaseError);
+
 /**
  * An error thrown when an rpc request has timed out
  *
@@ -82,6 +121,73 @@ errors.RequestTimeoutError = function(message) {
 };
 util.inherits(errors.RequestTimeoutError, errors.BaseError);
 
+/**
+ * An error thrown when an rpc request has been cancelled
+ *
+ * @extends BaseError
+ * @constructor
+ */
+errors.RequestCancelledError = function(message) {
+  errors.BaseError.call(this, message || 'Request cancelled');
+  this.name = 'AmqpRpcRequestCancelledError';
+};
+util.inherits(errors.RequestCancelledError, errors.BaseError);
+
+/**
+ * An error thrown when a strict batch request contains failed entries
+ *
+ * @param result the `BatchResult` of the request
+ * @extends BaseError
+ * @constructor
+ */
+errors.BatchError = function(result) {
+  errors.BaseError.call(this, 'Batch request failed: ' +
+    result.errors().length + ' of ' + result.length + ' entries rejected');
+  this.name = 'AmqpRpcBatchError';
+  this.result = result;
+};
+util.inherits(errors.BatchError, errors.BaseError);
+
+/**
+ * An error thrown when a call fails fast because its circuit is open
+ *
+ * @param address the target address of the call
+ * @param method the method called
+ * @extends BaseError
+ * @constructor
+ */
+errors.CircuitOpenError = function(address, method) {
+  errors.BaseError.call(this, 'Circuit open for method: ' + method);
+  this.name = 'AmqpRpcCircuitOpenError';
+  this.address = address;
+  this.method = method;
+};
+util.inherits(errors.CircuitOpenError, errors.BaseError);
+
+/**
+ * An error thrown when using, or waiting on, a closed rpc client or server
+ *
+ * @extends BaseError
+ * @constructor
+ */
+errors.ClosedError = function(message) {
+  errors.BaseError.call(this, message || 'Closed');
+  this.name = 'AmqpRpcClosedError';
+};
+util.inherits(errors.ClosedError, errors.BaseError);
+
+/**
+ * An error thrown when a request can't be queued because the queue is full
+ *
+ * @extends BaseError
+ * @constructor
+ */
+errors.OverloadError = function(message) {
+  errors.BaseError.call(this, message || 'Request queue is full');
+  this.name = 'AmqpRpcOverloadError';
+};
+util.inherits(errors.OverloadError, errors.BaseError);
+
 /**
  * An error thrown when an invalid rpc request has been made
  *
@@ -99,7 +205,9 @@ var ErrorCode = errors.ErrorCode = {
   InvalidRequest: -32600,
   MethodNotFound: -32601,
   InvalidParams: -32602,
-  InternalError: -32603
+  InternalError: -32603,
+  ServerBusy: -32000,
+  ServerTimeout: -32002
 };
 
 /**
@@ -112,6 +220,9 @@ var ErrorCode = errors.ErrorCode = {
  * @constructor
  */
 errors.ProtocolError = function(code, message, data) {
+  if (Error.captureStackTrace)
+    Error.captureStackTrace(this, this.constructor);
+
   this.code = code;
   this.message = message;
   if (!!data) this.data = data;
@@ -121,6 +232,10 @@ errors.ProtocolError = function(code, message, data) {
     value: true, enumerable: false, writable: false, configurable: false
   });
 };
+util.inherits(errors.ProtocolError, errors.BaseError);
+
+// names live on the prototype, so only the wire format is enumerable
+errors.ProtocolError.prototype.name = 'AmqpRpcProtocolError';
 
 errors.ParseError = function(message, data) {
   errors.ProtocolError.call(this, ErrorCode.ParseError, message, data);
@@ -147,17 +262,76 @@ errors.InternalError = function(message, data) {
 };
 util.inherits(errors.InternalError, errors.ProtocolError);
 
-errors.wrapProtocolError = function(err) {
-  var ErrorType = errors.ProtocolError;
-  switch(err.code) {
-  case ErrorCode.ParseError: ErrorType = errors.ParseError; break;
-  case ErrorCode.InvalidRequest: ErrorType = errors.InvalidRequestError; break;
-  case ErrorCode.MethodNotFound: ErrorType = errors.MethodNotFoundError; break;
-  case ErrorCode.InvalidParams: ErrorType = errors.InvalidParamsError; break;
-  case ErrorCode.InternalError: ErrorType = errors.InternalError; break;
+errors.ServerBusyError = function(message, data) {
+  errors.ProtocolError.call(this, ErrorCode.ServerBusy, message || 'Server busy', data);
+};
+util.inherits(errors.ServerBusyError, errors.ProtocolError);
+
+errors.ServerTimeoutError = function(message, data) {
+  errors.ProtocolError.call(this, ErrorCode.ServerTimeout, message || 'Server timeout', data);
+};
+util.inherits(errors.ServerTimeoutError, errors.ProtocolError);
+
+// protocol error types by code, used to rehydrate errors received from a server
+var registry = {};
+registry[ErrorCode.ParseError] = { name: 'ParseError', type: errors.ParseError };
+registry[ErrorCode.InvalidRequest] = { name: 'InvalidRequestError', type: errors.InvalidRequestError };
+registry[ErrorCode.MethodNotFound] = { name: 'MethodNotFoundError', type: errors.MethodNotFoundError };
+registry[ErrorCode.InvalidParams] = { name: 'InvalidParamsError', type: errors.InvalidParamsError };
+registry[ErrorCode.InternalError] = { name: 'InternalError', type: errors.InternalError };
+registry[ErrorCode.ServerBusy] = { name: 'ServerBusyError', type: errors.ServerBusyError };
+registry[ErrorCode.ServerTimeout] = { name: 'ServerTimeoutError', type: errors.ServerTimeoutError };
+
+var ReservedRange = { min: -32768, max: -32000 },
+    ServerErrorRange = { min: -32099, max: -32000 },
+    LibraryCodes = [ ErrorCode.ServerBusy, ErrorCode.ServerTimeout ];
+
+/**
+ * Define an application error type, which is sent with its code when thrown
+ * from a bound method and rehydrated into the same type by the client.
+ *
+ * @param {String} name the name of the error type
+ * @param {Number} code the error code, either in the server error range (-32099 to -32000),
+ *                      or outside of the range reserved by JSON-RPC (-32768 to -32000). Codes
+ *                      -32000 (`ServerBusyError`) and -32002 (`ServerTimeoutError`) are used
+ *                      by this library, and can't be defined.
+ * @param {String} [defaultMessage] the message used when none is provided
+ * @return the error constructor, accepting an optional message and data
+ */
+errors.define = function(name, code, defaultMessage) {
+  if (typeof name !== 'string' || !name.length)
+    throw new errors.InvalidErrorDefinitionError('missing name');
+  if (typeof code !== 'number' || code % 1 !== 0)
+    throw new errors.InvalidErrorDefinitionError('code must be an integer: ' + code);
+  if (code >= ReservedRange.min && code <= ReservedRange.max &&
+      (code < ServerErrorRange.min || code > ServerErrorRange.max))
+    throw new errors.InvalidErrorDefinitionError('reserved code: ' + code);
+  if (LibraryCodes.indexOf(code) !== -1)
+    throw new errors.InvalidErrorDefinitionError('reserved code: ' + code);
+
+  if (registry.hasOwnProperty(code)) {
+    // allow repeated definitions, e.g. when a module is loaded more than once
+    if (registry[code].name === name) return registry[code].type;
+    throw new errors.InvalidErrorDefinitionError(
+      'code ' + code + ' already defined by ' + registry[code].name);
   }
 
+  var ErrorType = function(message, data) {
+    errors.ProtocolError.call(this, code, message || defaultMessage || name, data);
+  };
+  util.inherits(ErrorType, errors.ProtocolError);
+  ErrorType.prototype.name = name;
+
+  registry[code] = { name: name, type: ErrorType };
+  return ErrorType;
+};
+
+errors.wrapProtocolError = function(err) {
+  var ErrorType = registry.hasOwnProperty(err.code) ?
+    registry[err.code].type : errors.ProtocolError;
+
   var result = new ErrorType();
+  result.code = err.code;
   result.message = err.message;
   result.data = err.data;
   return result;
@@ -25,6 +25,51 @@ module.exports = function(options) {
         delete options.ignoreUnknownMethods;
       }
 
+      if (options.hasOwnProperty('identity')) {
+        serverOptions.identity = options.identity;
+        delete options.identity;
+      }
+
+      if (options.hasOwnProperty('discovery')) {
+        serverOptions.discovery = options.discovery;
+        delete options.discovery;
+      }
+
+      if (options.hasOwnProperty('codecs')) {
+        serverOptions.codecs = options.codecs;
+        delete options.codecs;
+      }
+
+      if (options.hasOwnProperty('tracer')) {
+        serverOptions.tracer = options.tracer;
+        delete options.tracer;
+      }
+
+      if (options.hasOwnProperty('metrics')) {
+        serverOptions.metrics = options.metrics;
+        delete options.metrics;
+      }
+
+      if (options.hasOwnProperty('exposeMetrics')) {
+        serverOptions.exposeMetrics = options.exposeMetrics;
+        delete options.exposeMetrics;
+      }
+
+      if (options.hasOwnProperty('concurrency')) {
+        serverOptions.concurrency = options.concurrency;
+        delete options.concurrency;
+      }
+
+      if (options.hasOwnProperty('expiredDisposition')) {
+        serverOptions.expiredDisposition = options.expiredDisposition;
+        delete options.expiredDisposition;
+      }
+
+      if (options.hasOwnProperty('replySenders')) {
+        serverOptions.replySenders = options.replySenders;
+        delete options.replySenders;
+      }
+
       var server = new RpcServer(this, serverOptions);
       return server.listen(address, options)
         .then(function() { return server; });
@@ -48,6 +93,56 @@ module.exports = function(options) {
         delete options.interceptor;
       }
 
+      if (options.hasOwnProperty('retry')) {
+        clientOptions.retry = options.retry;
+        delete options.retry;
+      }
+
+      if (options.hasOwnProperty('circuitBreaker')) {
+        clientOptions.circuitBreaker = options.circuitBreaker;
+        delete options.circuitBreaker;
+      }
+
+      if (options.hasOwnProperty('resendOnReattach')) {
+        clientOptions.resendOnReattach = options.resendOnReattach;
+        delete options.resendOnReattach;
+      }
+
+      if (options.hasOwnProperty('maxInFlight')) {
+        clientOptions.maxInFlight = options.maxInFlight;
+        delete options.maxInFlight;
+      }
+
+      if (options.hasOwnProperty('maxQueueLength')) {
+        clientOptions.maxQueueLength = options.maxQueueLength;
+        delete options.maxQueueLength;
+      }
+
+      if (options.hasOwnProperty('schemas')) {
+        clientOptions.schemas = options.schemas;
+        delete options.schemas;
+      }
+
+      if (options.hasOwnProperty('codecs')) {
+        clientOptions.codecs = options.codecs;
+        delete options.codecs;
+      }
+
+      if (options.hasOwnProperty('contentType')) {
+        clientOptions.contentType = options.contentType;
+        delete options.contentType;
+      }
+
+      if (options.hasOwnProperty('tracer')) {
+        clientOptions.tracer = options.tracer;
+        delete options.tracer;
+      }
+
+      if (options.hasOwnProperty('metrics')) {
+        clientOptions.metrics = options.metrics;
+        delete options.metrics;
+      }
+
       var client = new RpcClient(this, clientOptions);
       return client.connect(address, options)
         .then(function() { return client; });
@@ -56,3 +151,13 @@ module.exports = function(options) {
 };
 
 module.exports.Errors = require('./errors');
+module.exports.CircuitBreaker = require('./circuit-breaker');
+module.exports.RetryPolicy = require('./retry-policy');
+module.exports.BatchResult = require('./batch-result');
+module.exports.CancellationToken = require('./cancellation-token');
+module.exports.CodecRegistry = require('./codecs');
+module.exports.RequestContext = require('./request-context');
+module.exports.Tracing = require('./tracing');
+module.exports.Namespace = require('./namespace');
+module.exports.SenderPool = require('./sender-pool');
+module.exports.MetricsRegistry = require('./metrics');
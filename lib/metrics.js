@@ -0,0 +1,291 @@
+'use strict';
+var util = require('util');
+
+var DEFAULT_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ],
+    BATCH_SIZE_BUCKETS = [ 1, 2, 5, 10, 25, 50, 100, 250, 500 ];
+
+function labelsKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(function(k) { return [ k, labels[k] ]; }));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  var keys = Object.keys(labels);
+  if (!keys.length) return '';
+  return '{' + keys.map(function(k) {
+    return k + '="' + escapeLabelValue(labels[k]) + '"';
+  }).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * The base class for metrics, tracking a value per set of labels
+ */
+function Metric(name, help, type) {
+  this.name = name;
+  this.help = help;
+  this.type = type;
+  this._values = {};
+}
+
+Metric.prototype._entry = function(labels) {
+  labels = labels || {};
+  var key = labelsKey(labels);
+  if (!this._values.hasOwnProperty(key)) this._values[key] = this._create(labels);
+  return this._values[key];
+};
+
+Metric.prototype._create = function(labels) {
+  return { labels: labels, value: 0 };
+};
+
+/**
+ * Returns the current values of this metric, one per set of labels
+ */
+Metric.prototype.values = function() {
+  var self = this;
+  return Object.keys(this._values).map(function(key) { return self._values[key]; });
+};
+
+/**
+ * Returns the value of this metric for a set of labels
+ */
+Metric.prototype.get = function(labels) {
+  var key = labelsKey(labels || {});
+  return this._values.hasOwnProperty(key) ? this._values[key].value : 0;
+};
+
+Metric.prototype.toPrometheus = function() {
+  var self = this;
+  return this.values().map(function(entry) {
+    return self.name + formatLabels(entry.labels) + ' ' + formatValue(entry.value);
+  });
+};
+
+function Counter(name, help) {
+  Metric.call(this, name, help, 'counter');
+}
+util.inherits(Counter, Metric);
+
+Counter.prototype.inc = function(labels, value) {
+  this._entry(labels).value += (value === undefined) ? 1 : value;
+};
+
+function Gauge(name, help) {
+  Metric.call(this, name, help, 'gauge');
+}
+util.inherits(Gauge, Metric);
+
+Gauge.prototype.inc = function(labels, value) {
+  this._entry(labels).value += (value === undefined) ? 1 : value;
+};
+
+Gauge.prototype.dec = function(labels, value) {
+  this._entry(labels).value -= (value === undefined) ? 1 : value;
+};
+
+Gauge.prototype.set = function(labels, value) {
+  this._entry(labels).value = value;
+};
+
+function Histogram(name, help, buckets) {
+  Metric.call(this, name, help, 'histogram');
+  this.buckets = (buckets || DEFAULT_BUCKETS).slice().sort(function(a, b) { return a - b; });
+}
+util.inherits(Histogram, Metric);
+
+Histogram.prototype._create = function(labels) {
+  return {
+    labels: labels, count: 0, sum: 0,
+    buckets: this.buckets.map(function() { return 0; })
+  };
+};
+
+Histogram.prototype.observe = function(labels, value) {
+  var entry = this._entry(labels);
+  entry.count++;
+  entry.sum += value;
+  for (var i = 0, ii = this.buckets.length; i < ii; ++i) {
+    if (value <= this.buckets[i]) entry.buckets[i]++;
+  }
+};
+
+Histogram.prototype.get = function(labels) {
+  var key = labelsKey(labels || {});
+  if (!this._values.hasOwnProperty(key)) return { count: 0, sum: 0 };
+  return { count: this._values[key].count, sum: this._values[key].sum };
+};
+
+Histogram.prototype.toPrometheus = function() {
+  var self = this, lines = [];
+  this.values().forEach(function(entry) {
+    self.buckets.forEach(function(bound, idx) {
+      var labels = {};
+      Object.keys(entry.labels).forEach(function(k) { labels[k] = entry.labels[k]; });
+      labels.le = formatValue(bound);
+      lines.push(self.name + '_bucket' + formatLabels(labels) + ' ' + entry.buckets[idx]);
+    });
+
+    var infLabels = {};
+    Object.keys(entry.labels).forEach(function(k) { infLabels[k] = entry.labels[k]; });
+    infLabels.le = '+Inf';
+    lines.push(self.name + '_bucket' + formatLabels(infLabels) + ' ' + entry.count);
+    lines.push(self.name + '_sum' + formatLabels(entry.labels) + ' ' + formatValue(entry.sum));
+    lines.push(self.name + '_count' + formatLabels(entry.labels) + ' ' + entry.count);
+  });
+
+  return lines;
+};
+
+/**
+ * A registry of metrics, which can be shared between clients and servers
+ *
+ * @constructor
+ */
+function MetricsRegistry() {
+  this._metrics = {};
+}
+
+MetricsRegistry.Counter = Counter;
+MetricsRegistry.Gauge = Gauge;
+MetricsRegistry.Histogram = Histogram;
+
+MetricsRegistry.prototype._register = function(Type, name, help, buckets) {
+  if (this._metrics.hasOwnProperty(name)) {
+    if (!(this._metrics[name] instanceof Type))
+      throw new TypeError('metric ' + name + ' is already registered as a ' + this._metrics[name].type);
+    return this._metrics[name];
+  }
+
+  this._metrics[name] = new Type(name, help, buckets);
+  return this._metrics[name];
+};
+
+/**
+ * Returns the counter with a given name, creating it if needed
+ */
+MetricsRegistry.prototype.counter = function(name, help) {
+  return this._register(Counter, name, help);
+};
+
+/**
+ * Returns the gauge with a given name, creating it if needed
+ */
+MetricsRegistry.prototype.gauge = function(name, help) {
+  return this._register(Gauge, name, help);
+};
+
+/**
+ * Returns the histogram with a given name, creating it if needed
+ *
+ * @param {Array} [buckets] the upper bounds of the histogram's buckets
+ */
+MetricsRegistry.prototype.histogram = function(name, help, buckets) {
+  return this._register(Histogram, name, help, buckets);
+};
+
+/**
+ * Returns a registered metric by name
+ */
+MetricsRegistry.prototype.get = function(name) {
+  return this._metrics.hasOwnProperty(name) ? this._metrics[name] : undefined;
+};
+
+/**
+ * Renders all metrics in the Prometheus text exposition format
+ */
+MetricsRegistry.prototype.toPrometheus = function() {
+  var self = this;
+  return Object.keys(this._metrics).map(function(name) {
+    var metric = self._metrics[name],
+        lines = [ '# HELP ' + name + ' ' + (metric.help || name).replace(/\\/g, '\\\\').replace(/\n/g, '\\n'),
+                  '# TYPE ' + name + ' ' + metric.type ];
+    return lines.concat(metric.toPrometheus()).join('\n') + '\n';
+  }).join('');
+};
+
+/**
+ * Returns a plain object snapshot of all metrics
+ */
+MetricsRegistry.prototype.toJSON = function() {
+  var self = this;
+  return Object.keys(this._metrics).reduce(function(snapshot, name) {
+    var metric = self._metrics[name];
+    snapshot[name] = {
+      type: metric.type,
+      help: metric.help,
+      values: metric.values().map(function(entry) {
+        if (metric.type !== 'histogram') return { labels: entry.labels, value: entry.value };
+        var buckets = {};
+        metric.buckets.forEach(function(bound, idx) { buckets[bound] = entry.buckets[idx]; });
+        return { labels: entry.labels, count: entry.count, sum: entry.sum, buckets: buckets };
+      })
+    };
+
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Registers the standard set of rpc metrics for a client or server
+ *
+ * @param {String} side either 'client' or 'server'
+ */
+MetricsRegistry.prototype.rpcMetrics = function(side) {
+  var prefix = 'amqp_rpc_' + side + '_';
+  var metrics = {
+    requests: this.counter(prefix + 'requests_total', 'Total number of requests'),
+    successes: this.counter(prefix + 'successes_total', 'Total number of successful requests'),
+    errors: this.counter(prefix + 'errors_total', 'Total number of failed requests, by error code'),
+    inFlight: this.gauge(prefix + 'in_flight', 'Number of requests currently being processed'),
+    duration: this.histogram(prefix + 'request_duration_seconds', 'Request latency in seconds'),
+    batchSize: this.histogram(prefix + 'batch_size', 'Number of entries in batch requests',
+      BATCH_SIZE_BUCKETS)
+  };
+
+  // clients stop waiting for requests, servers drop requests nobody waits for
+  if (side === 'client')
+    metrics.timeouts = this.counter(prefix + 'timeouts_total', 'Total number of requests which timed out');
+  else
+    metrics.expired = this.counter(prefix + 'expired_total', 'Total number of requests dropped as expired');
+  return metrics;
+};
+
+/**
+ * Create a registry from user provided options
+ *
+ * @param {MetricsRegistry|Boolean} [metrics] a registry, or `true` to create one
+ * @return the registry, or null if metrics are disabled
+ */
+MetricsRegistry.create = function(metrics) {
+  if (!metrics) return null;
+  if (metrics instanceof MetricsRegistry) return metrics;
+  return new MetricsRegistry();
+};
+
+/**
+ * Returns the elapsed time in seconds since a `process.hrtime()` timestamp
+ */
+MetricsRegistry.elapsed = function(start) {
+  var diff = process.hrtime(start);
+  return diff[0] + diff[1] / 1e9;
+};
+
+/**
+ * Returns the label used for an error's code, which is either its rpc error
+ * code, or its name for errors raised locally
+ */
+MetricsRegistry.errorCode = function(err) {
+  if (!!err && typeof err.code === 'number') return err.code;
+  return (!!err && !!err.name) ? err.name : 'Error';
+};
+
+module.exports = MetricsRegistry;
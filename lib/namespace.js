@@ -0,0 +1,119 @@
+'use strict';
+var errors = require('./errors'),
+    u = require('./utilities');
+
+/**
+ * A group of methods bound on a server under a common prefix, e.g. methods
+ * bound on `server.namespace('users')` are called as `users.<name>`.
+ *
+ * Middleware added to a namespace runs for its methods, and those of nested
+ * namespaces, after the server's middleware has run and the method has been
+ * resolved.
+ *
+ * @param {RpcServer} server the server methods are bound on
+ * @param {String} name the name of the namespace
+ * @param {Namespace} [parent] the namespace this one is nested in
+ * @constructor
+ */
+function Namespace(server, name, parent) {
+  if (typeof name !== 'string' || name === '')
+    throw new errors.InvalidMethodNameError(name);
+
+  this._server = server;
+  this._parent = parent || null;
+  this._middleware = [];
+  this._pipeline = u.compose(this._middleware);
+  this.prefix = (!!parent ? parent.prefix : '') + name + '.';
+}
+
+/**
+ * Adds middleware to the namespace
+ *
+ * @param {Function} middleware a function accepting `(ctx, next)`, optionally returning a promise
+ */
+Namespace.prototype.use = function(middleware) {
+  if (typeof middleware !== 'function')
+    throw new errors.InvalidMiddlewareError('not a function');
+
+  this._middleware.push(middleware);
+  return this;
+};
+
+/**
+ * Creates a nested namespace
+ *
+ * @param {String} name the name of the nested namespace
+ */
+Namespace.prototype.namespace = function(name) {
+  return new Namespace(this._server, name, this);
+};
+
+/**
+ * Binds a method in the namespace, see `RpcServer.bind`
+ */
+Namespace.prototype.bind = function(methodNameOrDef, method) {
+  var definition = {};
+  if (typeof methodNameOrDef === 'function') {
+    if (!methodNameOrDef.name) throw new errors.InvalidMethodNameError(methodNameOrDef.name);
+    definition.method = methodNameOrDef.name;
+    method = methodNameOrDef;
+  } else if (typeof methodNameOrDef === 'string') {
+    definition.method = methodNameOrDef;
+  } else {
+    if (!methodNameOrDef.hasOwnProperty('method'))
+      throw new errors.InvalidMethodDefinitionError('missing method name');
+
+    Object.keys(methodNameOrDef).forEach(function(key) { definition[key] = methodNameOrDef[key]; });
+  }
+
+  definition.method = this.prefix + definition.method;
+  definition.middleware = [ this._run.bind(this) ].concat(definition.middleware || []);
+  return this._server.bind(definition, method);
+};
+
+/**
+ * Replaces a method in the namespace, see `RpcServer.rebind`
+ */
+Namespace.prototype.rebind = function(methodName, definition, method) {
+  if (typeof definition === 'function') {
+    method = definition;
+    definition = {};
+  }
+
+  var methodDef = {};
+  Object.keys(definition || {}).forEach(function(key) { methodDef[key] = definition[key]; });
+  methodDef.middleware = [ this._run.bind(this) ].concat(methodDef.middleware || []);
+  return this._server.rebind(this.prefix + methodName, methodDef, method);
+};
+
+/**
+ * Unbinds a method in the namespace, see `RpcServer.unbind`
+ */
+Namespace.prototype.unbind = function(methodName) {
+  return this._server.unbind(this.prefix + methodName);
+};
+
+/**
+ * Binds the methods of an object in the namespace, see `RpcServer.bindAll`
+ */
+Namespace.prototype.bindAll = function(obj, options) {
+  options = options || {};
+  var bindOptions = {};
+  Object.keys(options).forEach(function(key) { bindOptions[key] = options[key]; });
+  bindOptions.prefix = this.prefix + (options.prefix || '');
+  bindOptions.middleware = [ this._run.bind(this) ].concat(options.middleware || []);
+  return this._server.bindAll(obj, bindOptions);
+};
+
+// private api
+
+/**
+ * Runs the middleware of this namespace, within that of its parents
+ */
+Namespace.prototype._run = function(ctx, next) {
+  var self = this;
+  if (!this._parent) return this._pipeline(ctx, next);
+  return this._parent._run(ctx, function() { return self._pipeline(ctx, next); });
+};
+
+module.exports = Namespace;
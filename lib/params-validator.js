@@ -0,0 +1,96 @@
+'use strict';
+var errors = require('./errors'),
+    u = require('./utilities');
+
+/**
+ * Validates method parameters against schemas loaded from local definitions,
+ * or a server's discovery document
+ *
+ * @constructor
+ */
+function ParamsValidator() {
+  this._ajv = u.createAjv();
+  this._methods = {};
+}
+
+/**
+ * Load method schemas
+ *
+ * @param {Object} definitions either an OpenRPC discovery document, or an object mapping
+ *                             method names to `{ params: schema, parameters: [names] }`
+ */
+ParamsValidator.prototype.load = function(definitions) {
+  var self = this;
+  if (Array.isArray(definitions.methods)) {
+    definitions.methods.forEach(function(m) {
+      var params = m.params || [];
+      self._add(m.name, params.map(function(p) { return p.name; }), {
+        type: 'object',
+        properties: params.reduce(function(properties, p) {
+          properties[p.name] = p.schema || {};
+          return properties;
+        }, {}),
+        required: params
+          .filter(function(p) { return !!p.required; })
+          .map(function(p) { return p.name; })
+      });
+    });
+
+    return;
+  }
+
+  Object.keys(definitions).forEach(function(method) {
+    var definition = definitions[method];
+    if (!u.isPlainObject(definition.params) || !definition.params.hasOwnProperty('properties'))
+      throw new errors.InvalidValidationDefinitionError('missing `properties` for ' + method);
+
+    self._add(method,
+      definition.parameters || Object.keys(definition.params.properties), definition.params);
+  });
+};
+
+/**
+ * Validate a request body, returning an `InvalidParamsError` for invalid params
+ *
+ * @param {Object} request  the request body with `method` and `params`
+ * @param {Object} source   the request source reported with the error
+ * @return {InvalidParamsError|undefined}
+ */
+ParamsValidator.prototype.validate = function(request, source) {
+  if (!this._methods.hasOwnProperty(request.method)) return;
+
+  var method = this._methods[request.method],
+      params = u.namedParams(method.parameters, request.params || []);
+
+  // validate a deep copy, since coercion and removal of additional properties
+  // are left to the server, and also apply to nested objects
+  if (method.validate(copy(params))) return;
+
+  var err = new errors.InvalidParamsError('Validation Error', {
+    source: source,
+    messages: method.validate.errors
+  });
+
+  // protocol errors usually come off the wire, capture where this one was raised
+  if (Error.captureStackTrace) Error.captureStackTrace(err, ParamsValidator.prototype.validate);
+  return err;
+};
+
+// private api
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy);
+  if (!u.isPlainObject(value)) return value;
+
+  var result = {};
+  Object.keys(value).forEach(function(key) { result[key] = copy(value[key]); });
+  return result;
+}
+
+ParamsValidator.prototype._add = function(method, parameters, schema) {
+  this._methods[method] = {
+    parameters: parameters,
+    validate: this._ajv.compile(schema)
+  };
+};
+
+module.exports = ParamsValidator;
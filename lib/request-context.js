@@ -0,0 +1,110 @@
+'use strict';
+
+var LOG_LEVELS = [ 'error', 'warn', 'info', 'debug', 'trace' ];
+
+/**
+ * Creates a logger which tags entries with a correlation id, using the
+ * logger's `child` method when available (e.g. bunyan or pino)
+ */
+function createLogger(logger, correlationId) {
+  if (!logger || correlationId === undefined || correlationId === null) return logger;
+  if (typeof logger.child === 'function') return logger.child({ correlationId: correlationId });
+
+  var tag = '[' + correlationId + ']';
+  return LOG_LEVELS.reduce(function(bound, level) {
+    if (typeof logger[level] === 'function') {
+      bound[level] = function() {
+        var args = Array.prototype.slice.call(arguments);
+        return logger[level].apply(logger, [ tag ].concat(args));
+      };
+    }
+
+    return bound;
+  }, {});
+}
+
+/**
+ * The context of a request, available to middleware, and to bound methods as
+ * `this`, or as a parameter named `$ctx`. When the server uses a tracer, `span`
+ * is the span of the current method invocation, to be passed as the
+ * `traceParent` of nested calls.
+ *
+ * The server also sets `receiver`, the link the message was received on,
+ * `body`, the decoded message body, `request`, the request being processed
+ * (an entry of `body` for batches, with its position as `batchIndex`), `args`,
+ * the arguments the method is called with, and `response`.
+ *
+ * @param {Object} message the AMQP message the request was received in
+ * @param {CancellationToken} cancellationToken a token cancelled when the request is abandoned
+ * @param {Object} [logger] the server logger
+ * @constructor
+ */
+function RequestContext(message, cancellationToken, logger) {
+  var properties = message.properties || {};
+
+  this.message = message;
+  this.properties = properties;
+  this.applicationProperties = message.applicationProperties || {};
+  this.messageAnnotations = message.messageAnnotations || {};
+  this.correlationId = properties.correlationId;
+  this.replyTo = properties.replyTo;
+  this.cancellationToken = cancellationToken;
+  this.span = null;
+  this.receiver = null;
+  this.body = undefined;
+  this.request = undefined;
+  this.batchIndex = undefined;
+  this.args = undefined;
+  this.response = undefined;
+  this.receivedAt = Date.now();
+  this.logger = createLogger(logger, this.correlationId);
+  this.deadline = RequestContext.deadline(message, this.receivedAt);
+}
+
+/**
+ * Computes the deadline of a request in ms since the epoch, after which its
+ * caller has stopped waiting for a response. The absolute expiry time set by
+ * the sender is preferred, then the creation time plus the ttl, since the ttl
+ * is relative to when the message was sent rather than received.
+ *
+ * @param {Object} message the AMQP message the request was received in
+ * @param {Number} receivedAt when the message was received, used for messages without a creation time
+ * @return the deadline, or undefined if the request has none
+ */
+RequestContext.deadline = function(message, receivedAt) {
+  var properties = message.properties || {},
+      header = message.header || {};
+  if (!!properties.absoluteExpiryTime) return new Date(properties.absoluteExpiryTime).getTime();
+  if (!header.ttl) return;
+  if (!!properties.creationTime) return new Date(properties.creationTime).getTime() + header.ttl;
+  return receivedAt + header.ttl;
+};
+
+/**
+ * The identity of the caller, as validated by the broker
+ */
+Object.defineProperty(RequestContext.prototype, 'userId', {
+  get: function() {
+    var userId = this.properties.userId;
+    return Buffer.isBuffer(userId) ? userId.toString('utf8') : userId;
+  }
+});
+
+/**
+ * Returns the time in ms before the request's deadline, or `Infinity` if the
+ * request has no deadline
+ */
+RequestContext.prototype.remainingTime = function() {
+  if (this.deadline === undefined) return Infinity;
+  return Math.max(0, this.deadline - Date.now());
+};
+
+/**
+ * Whether the request's deadline has passed, in which case its response will
+ * be discarded
+ */
+RequestContext.prototype.isExpired = function() {
+  return this.remainingTime() === 0;
+};
+
+module.exports = RequestContext;
@@ -0,0 +1,97 @@
+'use strict';
+var errors = require('./errors'),
+    u = require('./utilities');
+
+/**
+ * Determines whether an error is retryable by default: timeouts, busy servers,
+ * and errors that did not originate from this library (e.g. failures sending
+ * a request, or link errors)
+ */
+function isTransientError(err) {
+  if (err instanceof errors.RequestTimeoutError) return true;
+  if (err instanceof errors.ServerBusyError) return true;
+  return !(err instanceof errors.BaseError) && !(err instanceof errors.ProtocolError);
+}
+
+/**
+ * A policy describing how failed calls are retried
+ *
+ * @param {Object} [options] policy options
+ * @param {Number} [options.maxAttempts] the maximum number of attempts, including the first one
+ * @param {Number} [options.initialDelay] the delay in ms before the first retry
+ * @param {Number} [options.maxDelay] the maximum delay in ms between retries
+ * @param {Number} [options.factor] the exponential backoff factor
+ * @param {Boolean} [options.jitter] whether to randomize delays between zero and the backoff delay
+ * @param {Function|Array} [options.retryOn] a predicate, or list of error types, determining which errors are retryable
+ * @constructor
+ */
+function RetryPolicy(options) {
+  options = options || {};
+  this.maxAttempts = options.hasOwnProperty('maxAttempts') ? options.maxAttempts : 3;
+  this.initialDelay = options.hasOwnProperty('initialDelay') ? options.initialDelay : 100;
+  this.maxDelay = options.hasOwnProperty('maxDelay') ? options.maxDelay : 5000;
+  this.factor = options.hasOwnProperty('factor') ? options.factor : 2;
+  this.jitter = options.hasOwnProperty('jitter') ? !!options.jitter : true;
+
+  if (typeof options.retryOn === 'function') {
+    this._retryOn = options.retryOn;
+  } else if (Array.isArray(options.retryOn)) {
+    var types = options.retryOn;
+    this._retryOn = function(err) {
+      return types.some(function(Type) { return err instanceof Type; });
+    };
+  } else {
+    this._retryOn = isTransientError;
+  }
+}
+
+/**
+ * Create a new policy with the provided options overriding this one's
+ *
+ * @param {Object} options the options to override
+ */
+RetryPolicy.prototype.extend = function(options) {
+  var merged = {
+    maxAttempts: this.maxAttempts, initialDelay: this.initialDelay,
+    maxDelay: this.maxDelay, factor: this.factor, jitter: this.jitter,
+    retryOn: this._retryOn
+  };
+
+  Object.keys(options).forEach(function(key) { merged[key] = options[key]; });
+  return new RetryPolicy(merged);
+};
+
+/**
+ * Determines whether a failed attempt should be retried
+ *
+ * @param err       the error the attempt failed with
+ * @param attempt   the number of the failed attempt, starting at 1
+ */
+RetryPolicy.prototype.shouldRetry = function(err, attempt) {
+  if (attempt >= this.maxAttempts) return false;
+  if (err instanceof errors.RequestCancelledError) return false;
+  return !!this._retryOn(err);
+};
+
+/**
+ * Calculates the delay before the next attempt
+ *
+ * @param attempt   the number of the failed attempt, starting at 1
+ */
+RetryPolicy.prototype.delay = function(attempt) {
+  var delay = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, attempt - 1));
+  return this.jitter ? Math.floor(Math.random() * delay) : delay;
+};
+
+/**
+ * Create a policy from user provided options
+ *
+ * @param {RetryPolicy|Object|Boolean} options a policy, policy options, or `false` to disable retries
+ */
+RetryPolicy.create = function(options) {
+  if (!options) return null;
+  if (options instanceof RetryPolicy) return options;
+  return new RetryPolicy(u.isPlainObject(options) ? options : {});
+};
+
+module.exports = RetryPolicy;
@@ -1,24 +1,127 @@
 'use strict';
 var Promise = require('bluebird'),
+    EventEmitter = require('events').EventEmitter,
+    util = require('util'),
     uuid = require('uuid'),
     errors = require('./errors'),
+    CancellationToken = require('./cancellation-token'),
+    BatchResult = require('./batch-result'),
+    BatchBuilder = require('./batch-builder'),
+    RetryPolicy = require('./retry-policy'),
+    CircuitBreaker = require('./circuit-breaker'),
+    createProxy = require('./rpc-proxy'),
+    ParamsValidator = require('./params-validator'),
+    CodecRegistry = require('./codecs'),
+    tracing = require('./tracing'),
+    MetricsRegistry = require('./metrics'),
     u = require('./utilities');
 
 function RpcClient(client, options) {
+  EventEmitter.call(this);
   options = options || {};
   this._client = client;
   this._logger = options.logger;
   this._receiver = null;
   this._sender = null;
   this._requests = {};
+  this._queue = [];
+  this._inFlight = 0;
+  this._queued = 0;
+  this._maxInFlight = options.maxInFlight || 0;
+  this._maxQueueLength = options.hasOwnProperty('maxQueueLength') ? options.maxQueueLength : -1;
+  this._closed = false;
+  this._draining = false;
+  this._connected = false;
+  this._replyTo = null;
+  this._resendOnReattach = !!options.resendOnReattach;
   this._timeout = options.timeout || 5000;
+  this._retryPolicy = RetryPolicy.create(options.retry);
+  this._codecs = CodecRegistry.create(options.codecs);
+  this._contentType = options.contentType;
+  if (!this._codecs.get(this._contentType))
+    throw new errors.InvalidCodecError('unknown content type: ' + this._contentType);
+
   this._responseLinkParameters = !!options.responseAddress ?
     [ options.responseAddress ] : [ null, { attach: { source: { dynamic: true } } } ];
 
+  this._middleware = [];
+  this._pipeline = u.compose(this._middleware);
   if (options.hasOwnProperty('interceptor') && typeof options.interceptor === 'function') {
-    this._interceptor = options.interceptor;
+    this.use(adaptInterceptor(this, options.interceptor));
+  }
+
+  this._tracer = options.tracer || null;
+  this._metricsRegistry = MetricsRegistry.create(options.metrics);
+  this._metrics = !!this._metricsRegistry ? this._metricsRegistry.rpcMetrics('client') : null;
+  this._paramsValidator = null;
+  if (!!options.schemas) this.loadSchemas(options.schemas);
+
+  if (!!options.circuitBreaker) {
+    var self = this;
+    this._circuitBreaker = (options.circuitBreaker instanceof CircuitBreaker) ?
+      options.circuitBreaker : new CircuitBreaker(options.circuitBreaker);
+    this._circuitBreaker.on('stateChanged', function(event) {
+      self.emit('circuitStateChanged', event);
+    });
   }
 }
+util.inherits(RpcClient, EventEmitter);
+
+/**
+ * The number of requests sent and awaiting a response
+ */
+Object.defineProperty(RpcClient.prototype, 'inFlight', {
+  get: function() { return this._inFlight; }
+});
+
+/**
+ * The number of requests waiting for an in-flight slot to be sent
+ */
+Object.defineProperty(RpcClient.prototype, 'queued', {
+  get: function() { return this._queued; }
+});
+
+/**
+ * The metrics registry of this client, if metrics are enabled
+ */
+Object.defineProperty(RpcClient.prototype, 'metrics', {
+  get: function() { return this._metricsRegistry; }
+});
+
+/**
+ * Adapts a legacy interceptor, which is synchronous and returns a falsy value
+ * to prevent the request from being sent, as middleware. As before, it isn't
+ * called for notifications.
+ */
+function adaptInterceptor(client, interceptor) {
+  return function(ctx, next) {
+    if (ctx.correlationId === undefined) return next();
+    if (!interceptor(client, ctx.correlationId, ctx.request)) return;
+    return next();
+  };
+}
+
+/**
+ * Adds middleware to the client, which is called for every call attempt, and
+ * every notification, with a context and a `next` function. The context holds
+ * the `client`, the `correlationId` and `request` message about to be sent,
+ * the call `options`, and once `next` resolves, the `result` the call resolves
+ * with. Notifications and broadcasts have no `correlationId` and no result.
+ *
+ * Middleware may modify the request before calling `next`, transform the
+ * result afterwards, or handle errors `next` rejects with. Not calling `next`
+ * prevents the request from being sent, and the call resolves with
+ * `ctx.result`, which allows serving results locally.
+ *
+ * @param {Function} middleware a function accepting `(ctx, next)`, optionally returning a promise
+ */
+RpcClient.prototype.use = function(middleware) {
+  if (typeof middleware !== 'function')
+    throw new errors.InvalidMiddlewareError('not a function');
+
+  this._middleware.push(middleware);
+  return this;
+};
 
 /**
  * Connect to a broker creating a dynamic link for responses
@@ -31,20 +134,58 @@ RpcClient.prototype.connect = function(address, options) {
     self._client.createSender(address, options)
   ])
   .spread(function(receiver, sender) {
+    self._address = address;
     self._receiver = receiver;
     self._sender = sender;
+    self._replyTo = receiver.remote.attach.source.address;
+    self._connected = true;
 
     receiver.on('message', self._processMessage.bind(self));
+    receiver.on('attached', self._receiverAttached.bind(self));
+    receiver.on('detached', self._receiverDetached.bind(self));
     receiver.on('errorReceived', function(err) {
-      var _keys = Object.keys(self.requests), _len = _keys.length;
-      for (var i = 0; i < _len; ++i) {
-        self._requests[_keys[i]].reject(err);
-        delete self._requests[_keys[i]];
-      }
+      // pending requests are kept if they can be resent once reattached
+      if (self._resendOnReattach) return self._logger.error(err);
+      self._rejectPending(err);
     });
   });
 };
 
+/**
+ * Close the client, detaching its links
+ *
+ * @param {Object} [options] close options
+ * @param {Boolean} [options.drain] wait for outstanding requests, including queued ones, before closing
+ * @param {Number} [options.timeout] the maximum time to wait for outstanding requests
+ */
+RpcClient.prototype.close = function(options) {
+  options = options || {};
+  if (this._closed) return Promise.resolve();
+  this._closed = true;
+  this._draining = !!options.drain;
+
+  var self = this,
+      timeout = options.hasOwnProperty('timeout') ? options.timeout : this._timeout,
+      pending = Object.keys(this._requests).map(function(c) { return self._requests[c].promise; });
+
+  var drained = (!!options.drain && !!pending.length) ?
+    Promise.all(pending.map(function(p) { return p.reflect(); }))
+      .timeout(timeout)
+      .catch(Promise.TimeoutError, function() {}) :
+    Promise.resolve();
+
+  return drained
+    .then(function() {
+      self._draining = false;
+      self._rejectPending(new errors.ClosedError('Client closed'));
+
+      return Promise.all([
+        u.detachLink(self._sender, self._logger),
+        u.detachLink(self._receiver, self._logger)
+      ]);
+    });
+};
+
 /**
  * Make an rpc call to a remote endpoint
  *
@@ -52,39 +193,163 @@ RpcClient.prototype.connect = function(address, options) {
  * @param params    parameters to call the method with remotely
  */
 RpcClient.prototype.call = function(method, params) {
-  var correlator = uuid.v4().replace(/-/g, '');
-  var request = {
-    properties: {
-      replyTo: this._receiver.remote.attach.source.address,
-      correlationId: correlator
-    },
-    body: {
-      method: method
-    }
-  };
+  // support call with raw request objects { method: 'method', params: [] }
+  if (isRawRequest(method)) {
+    return this._call(method, {});
+  }
 
-  // add timeout as TTL, if it exists
-  if (!!this._timeout) {
-    request.header = {};
-    request.header.ttl = this._timeout;
+  var args = new Array(arguments.length - 1);
+  for (var i = 0, ii = args.length; i < ii; ++i) args[i] = arguments[i + 1];
+
+  var body = { method: method };
+  params = u.formatParams(args);
+  if (params !== undefined) body.params = params;
+
+  return this._call(body, {});
+};
+
+/**
+ * Make an rpc call to a remote endpoint, with per-call options
+ *
+ * @param {String|Object|Array} method the method to call on the remote endpoint, or a raw request
+ * @param {Array|Object} [params] positional (array) or named (object) parameters
+ * @param {Object} [options] per-call options
+ * @param {Number} [options.timeout] time to wait for a response, overrides the client timeout
+ * @param {Number} [options.ttl] the message ttl, defaults to the timeout
+ * @param {Number} [options.priority] the message priority
+ * @param {String} [options.subject] the message subject
+ * @param {String} [options.contentType] the content type used to encode the request, overrides the client content type
+ * @param {Object} [options.applicationProperties] application properties to send with the request
+ * @param {Object} [options.messageAnnotations] message annotations to send with the request
+ * @param {CancellationToken} [options.cancelToken] a token (or AbortSignal-like object) used to cancel the call
+ * @param {Boolean} [options.strict] for batch requests, reject with a `BatchError` if any entry failed
+ * @param {Object|Boolean} [options.retry] retry policy overrides for this call, `true` to retry with the
+ *                                        client policy or the default one, or `false` to disable retries
+ * @param {Object|String} [options.traceParent] the parent of the call's span, as a span, span context
+ *                                              or `traceparent` header, when a tracer is used
+ */
+RpcClient.prototype.callWithOptions = function(method, params, options) {
+  // support call with raw request objects, in which case `params` are the options
+  if (isRawRequest(method)) {
+    return this._call(method, params || {});
   }
 
-  // support call with raw request objects { method: 'method', params: [] }
-  if (u.isPlainObject(method) && method.hasOwnProperty('method') ||
-      Array.isArray(method)) {
-    request.body = method;
-    return this._sendRequest(correlator, request);
+  var body = { method: method };
+  if (params !== undefined && params !== null) {
+    body.params = (Array.isArray(params) || u.isPlainObject(params)) ? params : [ params ];
   }
 
-  if (arguments.length > 2) {
-    var args = new Array(arguments.length);
-    for (var i = 0, ii = args.length; i < ii; ++i) args[i] = arguments[i];
-    request.body.params = args.slice(1);
-  } else if (!!params) {
-    request.body.params = u.isPlainObject(params) ? params : [ params ];
+  return this._call(body, options || {});
+};
+
+/**
+ * Broadcast a request to every server listening on the client's address, collecting
+ * responses until the window closes or enough responses have been received.
+ * Broadcasts pass through middleware and are traced like notifications, but
+ * responses come from any number of servers, so they aren't tracked by the
+ * circuit breaker or request metrics.
+ *
+ * @param {String} method the method to call on the remote endpoints
+ * @param {Array|Object} [params] positional (array) or named (object) parameters
+ * @param {Object} [options] broadcast options
+ * @param {Number} [options.window] time in ms to collect responses, defaults to the client timeout
+ * @param {Number} [options.maxResponses] resolve as soon as this many responses were received
+ * @param {String} [options.subject] the message subject
+ * @param {Object} [options.applicationProperties] application properties to send with the request
+ * @return a promise for a list of `{ responder, status: 'fulfilled', value }` or
+ *         `{ responder, status: 'rejected', reason }` responses
+ */
+RpcClient.prototype.broadcast = function(method, params, options) {
+  if (this._closed) return Promise.reject(new errors.ClosedError('Client closed'));
+
+  options = options || {};
+  var self = this,
+      window = options.window || this._timeout,
+      maxResponses = options.maxResponses || 0,
+      body = { method: method };
+  if (params !== undefined && params !== null) {
+    body.params = (Array.isArray(params) || u.isPlainObject(params)) ? params : [ params ];
   }
 
-  return this._sendRequest(correlator, request);
+  // broadcasts use their own response link, since responses carry no correlation id
+  return this._client.createReceiver(null, { attach: { source: { dynamic: true } } })
+    .then(function(receiver) {
+      return new Promise(function(resolve, reject) {
+        var responses = [], timeoutId;
+        var finish = function() {
+          clearTimeout(timeoutId);
+          receiver.removeAllListeners('message');
+          resolve(responses);
+        };
+
+        receiver.on('message', function(message) {
+          responses.push(self._formatBroadcastResponse(message));
+          if (!!maxResponses && responses.length >= maxResponses) finish();
+        });
+
+        timeoutId = setTimeout(finish, window);
+
+        var request = {
+          header: { ttl: window },
+          properties: { replyTo: receiver.remote.attach.source.address },
+          body: body
+        };
+
+        if (!!options.subject) request.properties.subject = options.subject;
+        if (!!options.applicationProperties)
+          request.applicationProperties = options.applicationProperties;
+
+        var context = { client: self, correlationId: undefined, request: request, options: options };
+        self._pipeline(context, function() { return self._traceSend(request); })
+          .catch(function(err) {
+            clearTimeout(timeoutId);
+            reject(err);
+          });
+      })
+      .finally(function() { return u.detachLink(receiver, self._logger); });
+    });
+};
+
+/**
+ * Fetch the discovery document of the remote endpoint, which must have been
+ * created with the `discovery` option
+ *
+ * @return a promise for an OpenRPC document describing the remote methods
+ */
+RpcClient.prototype.describe = function() {
+  return this.call(u.ReservedMethod.Discover);
+};
+
+/**
+ * Load method schemas used to validate params before sending requests
+ *
+ * @param {Object} definitions either a discovery document (see `describe`), or an
+ *                             object mapping method names to `{ params: schema, parameters: [names] }`
+ */
+RpcClient.prototype.loadSchemas = function(definitions) {
+  this._paramsValidator = this._paramsValidator || new ParamsValidator();
+  this._paramsValidator.load(definitions);
+};
+
+/**
+ * Create a builder for composing a batch of calls and notifications
+ *
+ * @return {BatchBuilder}
+ */
+RpcClient.prototype.batch = function() {
+  return new BatchBuilder(this);
+};
+
+/**
+ * Create a proxy object for calling remote methods as functions, e.g.
+ * `api.users.get(id)` calls `users.get` and `api.$notify.audit()` notifies `audit`
+ *
+ * @param {String} [prefix] a prefix prepended to all method names
+ * @param {Object} [options] proxy options
+ * @param {Array|Object} [options.methods] known method names, or a discovery document
+ */
+RpcClient.prototype.proxy = function(prefix, options) {
+  return createProxy(this, prefix, options);
 };
 
 /**
@@ -94,9 +359,10 @@ RpcClient.prototype.call = function(method, params) {
  * @param {Array|Object}  paramsOrOverrides parameters to call the method with remotely, or link overrides
  */
 RpcClient.prototype.notify = function(method, params) {
+  if (this._closed) return Promise.reject(new errors.ClosedError('Client closed'));
+
   // support call with raw request objects { method: 'method', params: [] }
-  if (u.isPlainObject(method) && method.hasOwnProperty('method') ||
-      Array.isArray(method)) {
+  if (isRawRequest(method)) {
     var notification = {};
     if (u.isPlainObject(params)) notification = params;
     notification.body = method;
@@ -105,45 +371,473 @@ RpcClient.prototype.notify = function(method, params) {
       throw new errors.BadRequestError('notify must not have a replyTo');
     }
 
-    return this._sender.send(notification);
+    var invalidNotification = this._validateParams(method);
+    if (!!invalidNotification) return Promise.reject(invalidNotification);
+
+    return this._notify(notification);
   }
 
+  var args = new Array(arguments.length - 1);
+  for (var i = 0, ii = args.length; i < ii; ++i) args[i] = arguments[i + 1];
+
   var request = { body: { method: method } };
-  if (arguments.length > 2) {
-    var args = new Array(arguments.length);
-    for (var i = 0, ii = args.length; i < ii; ++i) args[i] = arguments[i];
-    request.body.params = args.slice(1);
-  } else if (!!params) {
-    request.body.params = u.isPlainObject(params) ? params : [ params ];
-  }
+  params = u.formatParams(args);
+  if (params !== undefined) request.body.params = params;
+
+  var invalid = this._validateParams(request.body);
+  if (!!invalid) return Promise.reject(invalid);
 
-  return this._sender.send(request);
+  return this._notify(request);
 };
 
 // private api
-RpcClient.prototype._sendRequest = function(correlator, request) {
-  if (!!this._interceptor) {
-    var shouldContinue = this._interceptor(this, correlator, request);
-    if (!shouldContinue) return;
+var IDEMPOTENCY_KEY = 'idempotencyKey';
+
+RpcClient.prototype._validateParams = function(body) {
+  if (!this._paramsValidator || Array.isArray(body)) return;
+  return this._paramsValidator.validate(body, { replyTo: this._replyTo, request: body });
+};
+
+RpcClient.prototype._formatBroadcastResponse = function(message) {
+  var response = {
+    responder: !!message.applicationProperties ? message.applicationProperties.responder : undefined
+  };
+
+  var body;
+  try {
+    body = this._decode(message);
+  } catch (err) {
+    response.status = 'rejected';
+    response.reason = err;
+    return response;
+  }
+
+  if (body.hasOwnProperty('error')) {
+    response.status = 'rejected';
+    response.reason = errors.wrapProtocolError(body.error);
+  } else {
+    response.status = 'fulfilled';
+    response.value = body.result;
+  }
+
+  return response;
+};
+
+/**
+ * Sends a request, encoding its body with the codec for its content type
+ */
+RpcClient.prototype._send = function(request) {
+  var properties = request.properties || {},
+      contentType = properties.hasOwnProperty('contentType') ?
+        properties.contentType : this._contentType,
+      codec = this._codecs.get(contentType);
+  if (!codec)
+    return Promise.reject(new errors.InvalidCodecError('unknown content type: ' + contentType));
+
+  // the original request is kept unencoded, so it can be resent or inspected
+  var message = {};
+  Object.keys(request).forEach(function(key) { message[key] = request[key]; });
+  try {
+    message.body = codec.encode(request.body);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  if (!!contentType) {
+    message.properties = {};
+    Object.keys(properties).forEach(function(key) { message.properties[key] = properties[key]; });
+    message.properties.contentType = contentType;
+  }
+
+  return this._sender.send(message);
+};
+
+/**
+ * Decodes the body of a response with the codec for its content type
+ */
+RpcClient.prototype._decode = function(message) {
+  var contentType = !!message.properties ? message.properties.contentType : undefined,
+      codec = this._codecs.get(contentType);
+  if (!codec) throw new errors.ParseError('Unsupported content type: ' + contentType);
+
+  try {
+    return codec.decode(message.body);
+  } catch (err) {
+    throw new errors.ParseError(err.message, message.body);
+  }
+};
+
+function isRawRequest(method) {
+  return (u.isPlainObject(method) && method.hasOwnProperty('method')) || Array.isArray(method);
+}
+
+RpcClient.prototype._call = function(body, options) {
+  var invalid = this._validateParams(body);
+  if (!!invalid) return Promise.reject(invalid);
+
+  var retryPolicy = this._retryPolicy;
+  if (options.hasOwnProperty('retry')) {
+    // `true` retries with the client policy, or the default one if the client has none
+    retryPolicy = (!!retryPolicy && u.isPlainObject(options.retry)) ?
+      retryPolicy.extend(options.retry) :
+      ((options.retry === true && !!retryPolicy) ? retryPolicy : RetryPolicy.create(options.retry));
+  }
+
+  if (!retryPolicy || retryPolicy.maxAttempts <= 1) return this._attempt(body, options);
+
+  // every attempt carries the same idempotency key, so servers can deduplicate
+  var attemptOptions = {};
+  Object.keys(options).forEach(function(key) { attemptOptions[key] = options[key]; });
+  attemptOptions.applicationProperties = {};
+  if (!!options.applicationProperties) {
+    Object.keys(options.applicationProperties).forEach(function(key) {
+      attemptOptions.applicationProperties[key] = options.applicationProperties[key];
+    });
   }
 
+  if (!attemptOptions.applicationProperties.hasOwnProperty(IDEMPOTENCY_KEY))
+    attemptOptions.applicationProperties[IDEMPOTENCY_KEY] = uuid.v4().replace(/-/g, '');
+
   var self = this;
-  return new Promise(function(resolve, reject) {
-    self._requests[correlator] = { resolve: resolve, reject: reject };
+  function attempt(n) {
+    return self._attempt(body, attemptOptions).catch(function(err) {
+      if (!retryPolicy.shouldRetry(err, n)) throw err;
+      return Promise.delay(retryPolicy.delay(n))
+        .then(function() { return attempt(n + 1); });
+    });
+  }
+
+  return attempt(1);
+};
+
+RpcClient.prototype._attempt = function(body, options) {
+  if (this._closed) return Promise.reject(new errors.ClosedError('Client closed'));
+
+  var correlator = uuid.v4().replace(/-/g, '');
+  var timeout = options.timeout || this._timeout;
+  var request = {
+    properties: {
+      replyTo: this._replyTo,
+      correlationId: correlator,
+      creationTime: new Date()
+    },
+    body: body
+  };
+
+  // add timeout as TTL, if it exists
+  if (!!options.ttl || !!timeout) {
+    request.header = {};
+    request.header.ttl = options.ttl || timeout;
+  }
+
+  if (options.hasOwnProperty('priority')) {
+    request.header = request.header || {};
+    request.header.priority = options.priority;
+  }
+
+  if (!!options.subject) request.properties.subject = options.subject;
+  if (!!options.contentType) request.properties.contentType = options.contentType;
+  if (!!options.applicationProperties)
+    request.applicationProperties = options.applicationProperties;
+  if (!!options.messageAnnotations)
+    request.messageAnnotations = options.messageAnnotations;
+
+  var sendOptions = {
+    timeout: timeout, cancelToken: options.cancelToken, strict: !!options.strict,
+    traceParent: options.traceParent
+  };
+
+  var self = this,
+      context = { client: this, correlationId: correlator, request: request, options: options };
+  return this._pipeline(context, function() {
+    return self._transmit(correlator, request, sendOptions)
+      .then(function(result) { context.result = result; });
+  })
+  .then(function() { return context.result; });
+};
+
+/**
+ * Sends a request once it passed through middleware, tracking its outcome
+ * with the circuit breaker
+ */
+RpcClient.prototype._transmit = function(correlator, request, options) {
+  var body = request.body;
+
+  // batches are not tracked by the circuit breaker
+  if (!this._circuitBreaker || Array.isArray(body))
+    return this._sendRequest(correlator, request, options);
+
+  var breaker = this._circuitBreaker, circuit;
+  try {
+    circuit = breaker.acquire(this._address, body.method);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  return this._sendRequest(correlator, request, options)
+    .tap(function() { breaker.success(circuit); })
+    .catch(function(err) {
+      breaker.failure(circuit, err);
+      throw err;
+    });
+};
+
+RpcClient.prototype._sendRequest = function(correlator, request, options) {
+  options = options || {};
+  var self = this,
+      timeout = options.timeout || self._timeout,
+      cancelToken = options.cancelToken,
+      span = this._startSpan(request, options.traceParent);
+  var promise = new Promise(function(resolve, reject) {
+    if (CancellationToken.isCancelled(cancelToken)) {
+      return reject(new errors.RequestCancelledError());
+    }
+
+    var shouldQueue = !!self._maxInFlight && self._inFlight >= self._maxInFlight;
+    if (shouldQueue && self._maxQueueLength >= 0 && self._queued >= self._maxQueueLength) {
+      return reject(new errors.OverloadError());
+    }
+
+    self._requests[correlator] = {
+      resolve: resolve, reject: reject, strict: !!options.strict,
+      request: request, expiresAt: Date.now() + timeout
+    };
     self._requests[correlator].timeoutId = setTimeout(function() {
-      if (self._requests.hasOwnProperty(correlator)) {
-        self._requests[correlator].reject(new errors.RequestTimeoutError());
-        delete self._requests[correlator];
-      }
-    }, self._timeout);
+      var request = self._removeRequest(correlator);
+      if (!!request) request.reject(new errors.RequestTimeoutError());
+    }, timeout);
 
-    self._sender.send(request)
-      .catch(function(err) {
-        clearTimeout(self._requests[correlator].timeoutId);
-        delete self._requests[correlator];
-        reject(err);
+    if (!!cancelToken) {
+      self._requests[correlator].unsubscribe = CancellationToken.subscribe(cancelToken, function() {
+        self._cancelRequest(correlator);
       });
+    }
+
+    // time spent waiting in the queue counts against the timeout
+    if (shouldQueue) {
+      self._requests[correlator].queued = true;
+      self._queue.push(correlator);
+      self._queued++;
+      return;
+    }
+
+    self._dispatch(correlator);
+  });
+
+  // keep track of the promise so `close` can wait for it
+  if (self._requests.hasOwnProperty(correlator)) self._requests[correlator].promise = promise;
+  return tracing.trace(span, function() { return self._measure(request, promise); });
+};
+
+/**
+ * Records metrics for a request once its response promise settles
+ */
+RpcClient.prototype._measure = function(request, promise) {
+  var metrics = this._metrics;
+  if (!metrics) return promise;
+
+  var body = request.body,
+      labels = { method: Array.isArray(body) ? 'batch' : body.method },
+      start = process.hrtime();
+  metrics.requests.inc(labels);
+  metrics.inFlight.inc(labels);
+  if (Array.isArray(body)) metrics.batchSize.observe({}, body.length);
+
+  function settled() {
+    metrics.inFlight.dec(labels);
+    metrics.duration.observe(labels, MetricsRegistry.elapsed(start));
+  }
+
+  promise.then(function() {
+    settled();
+    metrics.successes.inc(labels);
+  }, function(err) {
+    settled();
+    if (err instanceof errors.RequestTimeoutError) metrics.timeouts.inc(labels);
+    metrics.errors.inc({ method: labels.method, code: String(MetricsRegistry.errorCode(err)) });
   });
+
+  return promise;
+};
+
+/**
+ * Starts a client span for a request, injecting its context into the
+ * request's application properties
+ *
+ * @return the span, or null if no tracer is used
+ */
+RpcClient.prototype._startSpan = function(request, traceParent) {
+  if (!this._tracer) return null;
+
+  var parent = tracing.toSpanContext(traceParent);
+  if (!parent && typeof this._tracer.activeContext === 'function')
+    parent = this._tracer.activeContext();
+
+  var body = request.body,
+      method = Array.isArray(body) ? 'batch' : body.method,
+      properties = request.properties || {};
+  var span = this._tracer.startSpan(method, {
+    kind: 'client',
+    parent: parent || undefined,
+    attributes: {
+      'rpc.system': 'jsonrpc',
+      'rpc.method': method,
+      'messaging.system': 'amqp',
+      'messaging.destination.name': this._address,
+      'messaging.message.conversation_id': properties.correlationId
+    }
+  });
+
+  // copy, since application properties may be shared between attempts
+  var applicationProperties = {};
+  if (!!request.applicationProperties) {
+    Object.keys(request.applicationProperties).forEach(function(key) {
+      applicationProperties[key] = request.applicationProperties[key];
+    });
+  }
+
+  request.applicationProperties = tracing.inject(span, applicationProperties);
+  return span;
+};
+
+/**
+ * Sends a notification once it passed through middleware
+ */
+RpcClient.prototype._notify = function(notification) {
+  var self = this,
+      context = { client: this, correlationId: undefined, request: notification, options: {} };
+  return this._pipeline(context, function() { return self._traceSend(notification); })
+    .then(function() { return context.result; });
+};
+
+/**
+ * Sends a request which isn't tracked as pending, e.g. a notification or broadcast
+ */
+RpcClient.prototype._traceSend = function(request) {
+  var self = this, span = this._startSpan(request);
+  return tracing.trace(span, function() { return self._send(request); });
+};
+
+/**
+ * Removes a pending request, clearing its timeout and cancellation subscription
+ *
+ * @param correlator the correlation id of the request
+ * @return the removed request, or undefined if no such request is pending
+ */
+RpcClient.prototype._removeRequest = function(correlator) {
+  if (!this._requests.hasOwnProperty(correlator)) return;
+
+  var request = this._requests[correlator];
+  if (request.hasOwnProperty('timeoutId')) clearTimeout(request.timeoutId);
+  if (request.hasOwnProperty('unsubscribe')) request.unsubscribe();
+  delete this._requests[correlator];
+
+  if (request.queued) {
+    this._queued--;
+  } else {
+    this._inFlight--;
+    this._dequeue();
+  }
+
+  return request;
+};
+
+/**
+ * Sends a pending request, marking it as in-flight
+ */
+RpcClient.prototype._dispatch = function(correlator) {
+  var self = this, entry = this._requests[correlator];
+  entry.queued = false;
+  this._inFlight++;
+
+  this._send(entry.request)
+    .catch(function(err) {
+      var request = self._removeRequest(correlator);
+      if (!!request) request.reject(err);
+    });
+};
+
+/**
+ * Sends queued requests while in-flight slots are available, which once
+ * closed only happens while draining
+ */
+RpcClient.prototype._dequeue = function() {
+  while (this._queue.length && this._inFlight < this._maxInFlight &&
+         (!this._closed || this._draining)) {
+    var correlator = this._queue.shift();
+
+    // skip requests which were cancelled, or timed out, while queued
+    if (!this._requests.hasOwnProperty(correlator) || !this._requests[correlator].queued ||
+        this._requests[correlator].expiresAt <= Date.now())
+      continue;
+
+    this._queued--;
+    this._dispatch(correlator);
+  }
+};
+
+RpcClient.prototype._rejectPending = function(err) {
+  var self = this, correlators = Object.keys(this._requests);
+
+  // reject queued requests first, so they aren't sent as in-flight slots free up
+  correlators
+    .filter(function(c) { return self._requests[c].queued; })
+    .concat(correlators.filter(function(c) { return !self._requests[c].queued; }))
+    .forEach(function(correlator) { self._removeRequest(correlator).reject(err); });
+};
+
+RpcClient.prototype._receiverDetached = function(info) {
+  if (!this._connected) return;
+  this._connected = false;
+  this.emit('disconnected', info);
+};
+
+/**
+ * Called when the response link is reattached, for instance after the broker
+ * reconnected. Dynamic links are assigned a new address, so the replyTo for
+ * future requests is refreshed, and pending requests are optionally resent.
+ */
+RpcClient.prototype._receiverAttached = function() {
+  var self = this;
+  this._replyTo = this._receiver.remote.attach.source.address;
+  this._connected = true;
+
+  if (this._resendOnReattach && !this._closed) {
+    var now = Date.now();
+    Object.keys(this._requests).forEach(function(correlator) {
+      var entry = self._requests[correlator];
+      if (entry.queued || entry.expiresAt <= now) return;
+
+      entry.request.properties.replyTo = self._replyTo;
+      if (!!entry.request.header && !!entry.request.header.ttl) {
+        entry.request.header.ttl = entry.expiresAt - now;
+        entry.request.properties.creationTime = new Date(now);
+      }
+
+      self._send(entry.request)
+        .catch(function(err) {
+          var request = self._removeRequest(correlator);
+          if (!!request) request.reject(err);
+        });
+    });
+  }
+
+  this.emit('connected');
+};
+
+RpcClient.prototype._cancelRequest = function(correlator) {
+  var request = this._removeRequest(correlator);
+  if (!request) return;
+
+  request.reject(new errors.RequestCancelledError());
+  if (request.queued) return;
+
+  // let the server know it can abandon the request
+  var self = this;
+  return this.notify(u.ReservedMethod.Cancel, correlator)
+    .catch(function(err) {
+      self._logger.error({ message: 'failed to send cancel notification', data: err });
+    });
 };
 
 RpcClient.prototype._processMessage = function(message) {
@@ -166,31 +860,28 @@ RpcClient.prototype._processMessage = function(message) {
     return;
   }
 
-  var request = this._requests[correlationId];
-
-  // disable timeout check if necessary
-  if (request.hasOwnProperty('timeoutId')) {
-    clearTimeout(request.timeoutId);
+  var request = this._removeRequest(correlationId), body;
+  try {
+    body = this._decode(message);
+  } catch (err) {
+    return request.reject(err);
   }
 
-  if (Array.isArray(message.body)) {  // batch response?
-    var response = message.body.map(function(r) {
-      return r.hasOwnProperty('result') ? r.result :
-              r.hasOwnProperty('error') ? r.error : undefined;
-    });
-
-    // @todo: what do we do with interleaved errors?
-    request.resolve(response);
-  } else if (message.body.hasOwnProperty('result')) {
-    request.resolve(message.body.result);
-  } else if (message.body.hasOwnProperty('error')) {
-    request.reject(errors.wrapProtocolError(message.body.error));
+  if (Array.isArray(body)) {  // batch response?
+    var result = new BatchResult(body);
+    if (request.strict && result.hasErrors()) {
+      request.reject(new errors.BatchError(result));
+    } else {
+      request.resolve(result);
+    }
+  } else if (body.hasOwnProperty('result')) {
+    request.resolve(body.result);
+  } else if (body.hasOwnProperty('error')) {
+    request.reject(errors.wrapProtocolError(body.error));
   } else {
     // invalid message - maybe should reject with a custom error?
     request.reject(message);
   }
-
-  delete this._requests[correlationId];
 };
 
 module.exports = RpcClient;
@@ -0,0 +1,63 @@
+'use strict';
+var errors = require('./errors'),
+    u = require('./utilities');
+
+var NOTIFY_PROPERTY = '$notify';
+
+/**
+ * Normalizes a list of method names, or a discovery document, into a lookup table
+ *
+ * @param {Array|Object} methods a list of method names or method descriptions, or a
+ *                               discovery document with a `methods` property
+ */
+function methodTable(methods) {
+  if (u.isPlainObject(methods) && methods.hasOwnProperty('methods')) methods = methods.methods;
+  return methods.reduce(function(table, m) {
+    table[typeof m === 'string' ? m : m.name] = true;
+    return table;
+  }, {});
+}
+
+function createProxy(client, path, notify, methods) {
+  return new Proxy(function() {}, {
+    get: function(target, property) {
+      // don't pretend to be a thenable, or expose symbols
+      if (typeof property === 'symbol' || property === 'then') return undefined;
+      if (property === NOTIFY_PROPERTY) return createProxy(client, path, true, methods);
+      return createProxy(client, path.concat(property), notify, methods);
+    },
+
+    apply: function(target, thisArg, args) {
+      var method = path.join('.');
+      if (!path.length) throw new errors.InvalidMethodNameError(method);
+      if (!!methods && !methods.hasOwnProperty(method))
+        throw new errors.MethodNotFoundError(method);
+
+      var fn = notify ? client.notify : client.call;
+      return fn.apply(client, [ method ].concat(args));
+    }
+  });
+}
+
+/**
+ * Create a proxy object which performs rpc calls for invoked properties, such
+ * that `api.users.get(id)` calls `users.get`, and `api.$notify.audit()` sends
+ * a notification to `audit`
+ *
+ * @param {RpcClient} client the client used to make calls
+ * @param {String} [prefix] a prefix prepended to all method names
+ * @param {Object} [options] proxy options
+ * @param {Array|Object} [options.methods] known method names, or a discovery document,
+ *                                         unknown methods will throw locally
+ */
+module.exports = function(client, prefix, options) {
+  if (u.isPlainObject(prefix)) {
+    options = prefix;
+    prefix = undefined;
+  }
+
+  options = options || {};
+  var path = !!prefix ? prefix.split('.') : [],
+      methods = !!options.methods ? methodTable(options.methods) : undefined;
+  return createProxy(client, path, false, methods);
+};
@@ -1,23 +1,64 @@
 'use strict';
 var Promise = require('bluebird'),
-    Ajv = require('ajv'),
+    EventEmitter = require('events').EventEmitter,
+    util = require('util'),
+    os = require('os'),
     errors = require('./errors'),
+    CancellationToken = require('./cancellation-token'),
+    CodecRegistry = require('./codecs'),
+    RequestContext = require('./request-context'),
+    ConcurrencyLimiter = require('./concurrency-limiter'),
+    SenderPool = require('./sender-pool'),
+    Namespace = require('./namespace'),
+    tracing = require('./tracing'),
+    MetricsRegistry = require('./metrics'),
     ErrorCode = errors.ErrorCode,
     u = require('./utilities');
 
+var DEFAULT_DRAIN_TIMEOUT = 5000,
+    SPARE_CREDIT = 1,
+    OPENRPC_VERSION = '1.2.6',
+    RESERVED_PREFIX = 'rpc.',
+    CONTEXT_PARAMETER = '$ctx',
+    UNKNOWN_METHOD = '<unknown>';
+
+/**
+ * How requests which expired before being processed are settled
+ */
+var ExpiredDisposition = {
+  Accept: 'accept',
+  Reject: 'reject',
+  Modify: 'modify'
+};
+
 function RpcServer(client, options) {
+  EventEmitter.call(this);
   options = options || {};
   this._client = client;
   this._logger = options.logger;
   this._ignoreUnknownMethods = options.ignoreUnknownMethods || false;
+  this._identity = options.identity || (os.hostname() + ':' + process.pid);
   this._methodHandlers = {};
-  this._ajv = new Ajv({
-    v5: true,
-    allErrors: true,
-    coerceTypes: true,
-    removeAdditional: true,
-    ownProperties: true
-  });
+  this._activeRequests = {};
+  this._inflight = {};
+  this._inflightId = 0;
+  this._closed = false;
+  this._concurrency = options.concurrency || 1;
+  this._backlog = [];
+  this._settled = new WeakSet();
+  this._expiredDisposition = options.expiredDisposition || ExpiredDisposition.Accept;
+
+  var senderOptions = { logger: this._logger },
+      replySenders = u.isPlainObject(options.replySenders) ? options.replySenders : {};
+  Object.keys(replySenders).forEach(function(key) { senderOptions[key] = replySenders[key]; });
+  this._senders = new SenderPool(client, senderOptions);
+  this._ajv = u.createAjv();
+  this._codecs = CodecRegistry.create(options.codecs);
+  this._tracer = options.tracer || null;
+  this._metricsRegistry = MetricsRegistry.create(options.metrics);
+  this._metrics = !!this._metricsRegistry ? this._metricsRegistry.rpcMetrics('server') : null;
+  this._middleware = [];
+  this._pipeline = u.compose(this._middleware);
 
   if (options.hasOwnProperty('interceptor') && typeof options.interceptor === 'function') {
     this._interceptor = options.interceptor;
@@ -27,18 +68,355 @@ function RpcServer(client, options) {
       typeof options.completionInterceptor === 'function') {
     this._completionInterceptor = options.completionInterceptor;
   }
+
+  var discovery = u.isPlainObject(options.discovery) ? options.discovery : {};
+  this._discovery = {
+    title: discovery.title || 'amqp10-rpc',
+    version: discovery.version || '0.0.0'
+  };
+
+  var self = this;
+  if (!!options.discovery) {
+    this.bind({
+      method: u.ReservedMethod.Discover,
+      description: 'Returns an OpenRPC document describing this server'
+    }, function() { return self.describe(); });
+  }
+
+  if (!!options.exposeMetrics && !!this._metricsRegistry) {
+    this.bind({
+      method: u.ReservedMethod.Metrics,
+      description: 'Returns the server metrics in the Prometheus text format, or as JSON'
+    }, function(format) {
+      var registry = self._metricsRegistry;
+      return (format === 'json') ? registry.toJSON() : registry.toPrometheus();
+    });
+  }
+}
+
+util.inherits(RpcServer, EventEmitter);
+
+/**
+ * The metrics registry of this server, if metrics are enabled
+ */
+Object.defineProperty(RpcServer.prototype, 'metrics', {
+  get: function() { return this._metricsRegistry; }
+});
+
+// legacy interceptors are synchronous, and return `false` to stop processing
+
+/**
+ * Adapts a method-level interceptor called with the method arguments as
+ * middleware, which as before only applies to requests outside of batches
+ */
+function adaptMethodInterceptor(interceptor) {
+  return function(ctx, next) {
+    if (ctx.batchIndex !== undefined) return next();
+    if (interceptor(ctx.receiver, ctx.message, ctx.args) === false) return;
+    return next();
+  };
 }
 
 // public API
 
+/**
+ * Adds middleware to the server, which is called for every request, including
+ * each entry of a batch, with the `RequestContext` and a `next` function.
+ *
+ * `next` resolves once the rest of the chain, resolving and validating the
+ * method, and calling it, has set `ctx.response`. Middleware may inspect or
+ * replace the response afterwards, or throw to respond with an error. When the
+ * chain completes without a response, the request is neither settled nor
+ * answered, leaving its disposition to the middleware.
+ *
+ * @param {Function} middleware a function accepting `(ctx, next)`, optionally returning a promise
+ */
+RpcServer.prototype.use = function(middleware) {
+  if (typeof middleware !== 'function')
+    throw new errors.InvalidMiddlewareError('not a function');
+
+  this._middleware.push(middleware);
+  return this;
+};
+
 /**
  * Binds a method to the server with provided method name or definition
  *
  * @param {String|Object|Function| methodNameOrDef the methods name or definition, optionally just a function with an accessible name
- * @param method the method implementation
+ * @param method the method implementation, called with the `RequestContext` as `this`, or
+ *               as a parameter named `$ctx`. When the definition has a `thisArg`, the method
+ *               is called on it instead, and the context is only available as `$ctx`.
+ *
+ * A definition's `maxConcurrent` limits how many calls of the method run at once,
+ * further calls are queued, or rejected with a `ServerBusyError` once `maxQueued`
+ * calls are waiting (defaults to -1, no limit). Queued calls count towards the
+ * server `concurrency`, so a bounded queue keeps a slow method from holding every slot.
+ *
+ * A definition's `timeout` answers calls taking longer with a `ServerTimeoutError`,
+ * cancelling the context's `cancellationToken`. Timed out calls keep their slot until
+ * the method completes, so methods should stop working once cancelled.
  */
 RpcServer.prototype.bind = function(methodNameOrDef, method) {
-  var methodName, methodFunc, methodValidations, interceptor;
+  var handler = this._createMethodHandler(methodNameOrDef, method);
+  if (this._methodHandlers.hasOwnProperty(handler.name)) {
+    throw new errors.DuplicateMethodError(handler.name);
+  }
+
+  this._methodHandlers[handler.name] = handler.definition;
+  this.emit('methodsChanged', { type: 'bound', method: handler.name });
+};
+
+/**
+ * Replaces the implementation of a bound method, or binds it if it isn't
+ * bound. Requests already being processed complete with the previous
+ * implementation, and count towards the new concurrency limits.
+ *
+ * @param {String} methodName the name of the method
+ * @param {Object} [definition] the method definition, see `bind`, without a method name
+ * @param method the method implementation
+ */
+RpcServer.prototype.rebind = function(methodName, definition, method) {
+  if (typeof definition === 'function') {
+    method = definition;
+    definition = {};
+  }
+
+  var methodDef = {};
+  Object.keys(definition || {}).forEach(function(key) { methodDef[key] = definition[key]; });
+  methodDef.method = methodName;
+
+  // the handler is created first, so an invalid definition leaves the method untouched
+  var handler = this._createMethodHandler(methodDef, method),
+      previous = this._methodHandlers[methodName],
+      type = this._methodHandlers.hasOwnProperty(methodName) ? 'rebound' : 'bound';
+
+  // the limiter is kept, so requests still running or queued count towards the new limits
+  var limiter = handler.definition.limiter;
+  if (!!limiter && type === 'rebound' && !!previous.limiter) {
+    previous.limiter.setLimits(limiter.maxConcurrent, limiter.maxQueued);
+    handler.definition.limiter = previous.limiter;
+  }
+
+  this._methodHandlers[methodName] = handler.definition;
+  this.emit('methodsChanged', { type: type, method: methodName });
+};
+
+/**
+ * Unbinds a method, so further requests for it are answered with a
+ * `MethodNotFoundError`. Requests already being processed complete normally.
+ *
+ * @param {String} methodName the name of the method
+ * @return {Boolean} whether the method was bound
+ */
+RpcServer.prototype.unbind = function(methodName) {
+  if (!this._methodHandlers.hasOwnProperty(methodName)) return false;
+
+  delete this._methodHandlers[methodName];
+  this.emit('methodsChanged', { type: 'unbound', method: methodName });
+  return true;
+};
+
+/**
+ * Binds the methods of an object, class instance or module, including
+ * inherited methods but not those prefixed with an underscore. Methods are
+ * called on the object, so the `RequestContext` is available as `$ctx`.
+ *
+ * @param {Object} obj the object whose methods to bind
+ * @param {Object} [options] binding options
+ * @param {String} [options.prefix] a prefix prepended to method names, e.g. `users.`
+ * @param {Array} [options.include] the names of the methods to bind, defaults to all methods
+ * @param {Array} [options.exclude] the names of methods not to bind
+ * @param {Object} [options.definitions] method definitions by method name, e.g. `{ get: { params: schema } }`
+ * @param {Function|Array} [options.middleware] middleware for each of the bound methods
+ * @return {Array} the names the methods were bound as
+ */
+RpcServer.prototype.bindAll = function(obj, options) {
+  options = options || {};
+  if (!obj || (typeof obj !== 'object' && typeof obj !== 'function'))
+    throw new errors.InvalidMethodDefinitionError('not an object');
+
+  var self = this,
+      prefix = options.prefix || '',
+      definitions = options.definitions || {},
+      available = u.methodNames(obj),
+      names = available;
+
+  var assertKnown = function(name) {
+    if (available.indexOf(name) === -1)
+      throw new errors.InvalidMethodDefinitionError('unknown method "' + name + '"');
+  };
+
+  if (!!options.include) {
+    options.include.forEach(assertKnown);
+    names = names.filter(function(name) { return options.include.indexOf(name) !== -1; });
+  }
+
+  if (!!options.exclude)
+    names = names.filter(function(name) { return options.exclude.indexOf(name) === -1; });
+  Object.keys(definitions).forEach(assertKnown);
+
+  names.forEach(function(name) {
+    if (self._methodHandlers.hasOwnProperty(prefix + name))
+      throw new errors.DuplicateMethodError(prefix + name);
+  });
+
+  // methods are bound all or nothing, so a failing definition can be fixed and rebound
+  var bound = [];
+  try {
+    names.forEach(function(name) {
+      var definition = {}, overrides = definitions[name] || {};
+      Object.keys(overrides).forEach(function(key) { definition[key] = overrides[key]; });
+      definition.method = prefix + name;
+      definition.thisArg = obj;
+      if (!!options.middleware)
+        definition.middleware = [].concat(options.middleware, overrides.middleware || []);
+
+      self.bind(definition, obj[name]);
+      bound.push(definition.method);
+    });
+  } catch (err) {
+    bound.forEach(function(name) { self.unbind(name); });
+    throw err;
+  }
+
+  return bound;
+};
+
+/**
+ * Creates a namespace for binding methods under a common prefix, with its own
+ * middleware, e.g. methods bound on `server.namespace('users')` are called as
+ * `users.<name>`
+ *
+ * @param {String} name the name of the namespace
+ * @return {Namespace}
+ */
+RpcServer.prototype.namespace = function(name) {
+  return new Namespace(this, name);
+};
+
+/**
+ * Describes the bound methods as an OpenRPC document
+ *
+ * @return {Object} the discovery document
+ */
+RpcServer.prototype.describe = function() {
+  var self = this;
+  var methods = Object.keys(this._methodHandlers)
+    .filter(function(name) { return name.indexOf(RESERVED_PREFIX) !== 0; })
+    .map(function(name) {
+      var handler = self._methodHandlers[name],
+          schema = handler.schema || {},
+          properties = schema.properties || {},
+          required = schema.required || [];
+
+      var method = {
+        name: name,
+        params: handler.parameters.map(function(p) {
+          var param = { name: p, schema: properties[p] || {} };
+          if (required.indexOf(p) !== -1) param.required = true;
+          return param;
+        }),
+        result: { name: 'result', schema: handler.result || {} }
+      };
+
+      if (!!handler.description) method.description = handler.description;
+      return method;
+    });
+
+  return {
+    openrpc: OPENRPC_VERSION,
+    info: { title: this._discovery.title, version: this._discovery.version },
+    methods: methods
+  };
+};
+
+/**
+ * Listens for rpc requests on the given address
+ *
+ * @param {String} address the address to listen on
+ * @param {Object} [options] optional link creation parameters
+ */
+RpcServer.prototype.listen = function(address, options) {
+  options = options || {};
+  options.attach = options.attach || {};
+  options.attach.receiverSettleMode = 'settle';
+
+  // credit is granted as requests complete, rather than as they are settled,
+  // with a spare credit so cancellations are received while requests run
+  var self = this;
+  options.creditQuantum = this._concurrency + SPARE_CREDIT;
+  options.credit = function(link, creditOptions) {
+    if (!!creditOptions && creditOptions.initial) self._grantCredit(link);
+  };
+
+  return this._client.createReceiver(address, options)
+    .then(function(receiver) {
+      self._receiver = receiver;
+
+      // settlements are recorded, so messages which failed to process can be settled
+      var settle = receiver.settle;
+      receiver.settle = function(message) {
+        [].concat(message).forEach(function(m) { self._settled.add(m); });
+        return settle.apply(this, arguments);
+      };
+
+      receiver.on('message', function(m) {
+        // messages received while closing are returned to the broker
+        if (self._closed) return receiver.release(m);
+        self._receive(receiver, m);
+      });
+
+      receiver.on('errorReceived', function(err) { self._logger.error(err); });
+    });
+};
+
+/**
+ * Stops listening for rpc requests, detaching the receiver link
+ *
+ * @param {Object} [options] close options
+ * @param {Boolean} [options.drain] wait for in-flight requests to finish and respond before closing
+ * @param {Number} [options.timeout] the maximum time to wait for in-flight requests
+ */
+RpcServer.prototype.close = function(options) {
+  options = options || {};
+  if (this._closed) return Promise.resolve();
+  this._closed = true;
+
+  // stop granting credit for new requests, and return those which haven't started
+  var receiver = this._receiver;
+  if (!!receiver) receiver.policy.credit = function() {};
+  this._backlog.splice(0).forEach(function(entry) { receiver.release(entry.message); });
+
+  var self = this,
+      timeout = options.hasOwnProperty('timeout') ? options.timeout : DEFAULT_DRAIN_TIMEOUT,
+      inflight = Object.keys(this._inflight).map(function(id) { return self._inflight[id]; });
+
+  var drained = (!!options.drain && !!inflight.length) ?
+    Promise.all(inflight.map(function(p) { return p.reflect(); }))
+      .timeout(timeout)
+      .catch(Promise.TimeoutError, function() {
+        // signal abandoned handlers, suppressing their responses
+        Object.keys(self._activeRequests).forEach(function(correlationId) {
+          self._activeRequests[correlationId].cancel();
+        });
+      }) :
+    Promise.resolve();
+
+  return drained
+    .then(function() {
+      return Promise.all([ u.detachLink(receiver, self._logger), self._senders.close() ]);
+    });
+};
+
+// private API
+/**
+ * Creates the handler of a method from its definition, see `bind`
+ *
+ * @return the method name and handler
+ */
+RpcServer.prototype._createMethodHandler = function(methodNameOrDef, method) {
+  var methodName, methodFunc, methodValidations, interceptor, description, resultSchema, thisArg,
+      limiter, timeout, middleware = [];
   if (typeof methodNameOrDef === 'function') {
     if (methodNameOrDef.name === undefined ||
         methodNameOrDef.name === null || methodNameOrDef.name === '')
@@ -63,17 +441,58 @@ RpcServer.prototype.bind = function(methodNameOrDef, method) {
     if (methodNameOrDef.hasOwnProperty('interceptor')) {
       interceptor = methodNameOrDef.interceptor;
     }
+
+    if (methodNameOrDef.hasOwnProperty('middleware')) {
+      middleware = [].concat(methodNameOrDef.middleware);
+      middleware.forEach(function(m) {
+        if (typeof m !== 'function')
+          throw new errors.InvalidMethodDefinitionError('middleware must be functions');
+      });
+    }
+
+    if (methodNameOrDef.hasOwnProperty('thisArg')) {
+      thisArg = methodNameOrDef.thisArg;
+    }
+
+    if (methodNameOrDef.hasOwnProperty('timeout')) {
+      timeout = methodNameOrDef.timeout;
+      if (typeof timeout !== 'number' || timeout <= 0)
+        throw new errors.InvalidMethodDefinitionError('timeout must be a positive number');
+    }
+
+    if (methodNameOrDef.hasOwnProperty('maxConcurrent')) {
+      var maxConcurrent = methodNameOrDef.maxConcurrent,
+          maxQueued = methodNameOrDef.maxQueued;
+      if (typeof maxConcurrent !== 'number' || maxConcurrent < 1 || maxConcurrent % 1 !== 0)
+        throw new errors.InvalidMethodDefinitionError('maxConcurrent must be a positive integer');
+      if (maxQueued !== undefined && (typeof maxQueued !== 'number' || maxQueued < -1))
+        throw new errors.InvalidMethodDefinitionError('maxQueued must be a number, or -1');
+
+      limiter = new ConcurrencyLimiter(maxConcurrent, maxQueued);
+    }
+
+    description = methodNameOrDef.description;
+    resultSchema = methodNameOrDef.result;
   }
 
-  var parameterNames = u.extractParameterNames(methodFunc);
+  // the context parameter is injected, rather than provided by the caller
+  var parameterNames = u.extractParameterNames(methodFunc),
+      contextIndex = parameterNames.indexOf(CONTEXT_PARAMETER);
+  if (contextIndex !== -1) parameterNames.splice(contextIndex, 1);
+
+  if (!!interceptor) middleware.unshift(adaptMethodInterceptor(interceptor));
   var methodDefinition = {
     method: methodFunc,
-    parameters: parameterNames
+    parameters: parameterNames,
+    contextIndex: contextIndex,
+    pipeline: u.compose(middleware)
   };
 
-  if (!!interceptor) {
-    methodDefinition.interceptor = interceptor;
-  }
+  if (thisArg !== undefined) methodDefinition.thisArg = thisArg;
+  if (!!limiter) methodDefinition.limiter = limiter;
+  if (!!timeout) methodDefinition.timeout = timeout;
+  if (!!description) methodDefinition.description = description;
+  if (!!resultSchema) methodDefinition.result = resultSchema;
 
   if (!!methodValidations) {
     if (!u.isPlainObject(methodValidations)) {
@@ -91,64 +510,139 @@ RpcServer.prototype.bind = function(methodNameOrDef, method) {
         throw new errors.InvalidValidationDefinitionError('unknown parameter "' + p + '"');
     });
 
+    methodDefinition.schema = methodValidations;
     methodDefinition.validate = this._ajv.compile(methodValidations);
   }
 
-  if (this._methodHandlers.hasOwnProperty(methodName)) {
-    throw new errors.DuplicateMethodError(methodName);
+  return { name: methodName, definition: methodDefinition };
+};
+
+/**
+ * Handles a received message. Cancellations are processed right away, so they
+ * reach requests which are still running, other messages once a request slot
+ * is free.
+ */
+RpcServer.prototype._receive = function(receiver, message) {
+  var request = this._tryDecode(message);
+  if (u.isPlainObject(request) && request.method === u.ReservedMethod.Cancel) {
+    receiver.accept(message);
+    this._cancelRequest(request.params);
+    return this._grantCredit(receiver);
   }
 
-  this._methodHandlers[methodName] = methodDefinition;
+  this._backlog.push({ message: message, request: request });
+  this._processBacklog();
 };
 
 /**
- * Listens for rpc requests on the given address
- *
- * @param {String} address the address to listen on
- * @param {Object} [options] optional link creation parameters
+ * Decodes the body of a message, returning undefined when it can't be decoded,
+ * in which case the error is reported once the message is processed
  */
-RpcServer.prototype.listen = function(address, options) {
-  options = options || {};
-  options.attach = options.attach || {};
-  options.attach.receiverSettleMode = 'settle';
-  options.creditQuantum = 1;
+RpcServer.prototype._tryDecode = function(message) {
+  var properties = message.properties || {},
+      codec = this._codecs.get(properties.contentType);
+  if (!codec || message.body === undefined || message.body === null) return;
+
+  try {
+    return codec.decode(message.body);
+  } catch (err) {
+    return;
+  }
+};
 
-  var self = this;
-  return this._client.createReceiver(address, options)
-    .then(function(receiver) {
-      self._receiver = receiver;
-      receiver.on('message', function(m) { self._processMessage(receiver, m); });
-      receiver.on('errorReceived', function(err) { self._logger.error(err); });
+/**
+ * Processes received messages while request slots are free
+ */
+RpcServer.prototype._processBacklog = function() {
+  while (this._backlog.length && Object.keys(this._inflight).length < this._concurrency) {
+    var entry = this._backlog.shift();
+    this._trackInflight(
+      this._processMessage.bind(this, this._receiver, entry.message, entry.request), entry.message);
+  }
+};
+
+/**
+ * Processes a message, tracking it as in-flight until it has been processed,
+ * also used to track methods which outlived their request
+ *
+ * @param {Function} processMessage a function processing the message, optionally returning a promise
+ * @param {Object} [message] the message, settled if processing fails before it was settled
+ */
+RpcServer.prototype._trackInflight = function(processMessage, message) {
+  var self = this, id = ++this._inflightId, processed;
+
+  // tracked before processing starts, so methods closing the server are drained
+  this._inflight[id] = new Promise(function(resolve) { processed = resolve; })
+    .finally(function() {
+      delete self._inflight[id];
+      if (self._closed) return;
+      self._processBacklog();
+      self._grantCredit(self._receiver);
     });
+
+  processed(Promise.try(processMessage)
+    .catch(function(err) {
+      self._logger.error({ message: 'failed to process message', data: err });
+      if (!!message && !self._settled.has(message))
+        self._receiver.modify(message, { deliveryFailed: true, undeliverableHere: true });
+    }));
 };
 
-// private API
-RpcServer.prototype._respond = function(replyTo, correlationId, response) {
+/**
+ * Grants credit to the receiver for each free request slot, and the spare credit
+ */
+RpcServer.prototype._grantCredit = function(receiver) {
+  if (receiver.state() !== 'attached') return;
+  var available = this._concurrency + SPARE_CREDIT - Object.keys(this._inflight).length -
+    this._backlog.length - receiver.linkCredit;
+  if (available > 0) receiver.addCredits(available);
+};
+
+RpcServer.prototype._respond = function(replyTo, correlationId, response, cancellationToken,
+                                       contentType) {
   if (response === null || response === undefined) return;
+  if (!!cancellationToken && cancellationToken.isCancelled) return;
   if (response.hasOwnProperty('error') &&
       response.error.code === ErrorCode.MethodNotFound && !!this._ignoreUnknownMethods) {
     return;
   }
 
-  if ((replyTo === null || replyTo === undefined &&
-      correlationId === null || correlationId === undefined)) {
+  // notifications have no replyTo, broadcast requests have no correlationId
+  if (replyTo === null || replyTo === undefined) {
     if (response.hasOwnProperty('error')) return this._logger.error(response);
     return;
   }
 
-  var properties = {};
+  // reply in the codec the request was sent with
+  var properties = {}, body;
   if (!!correlationId) properties.correlationId = correlationId;
-  return this._client.createSender(replyTo)
-    .then(function(sender) { return sender.send(response, { properties: properties }); });
+  if (!!contentType) properties.contentType = contentType;
+  try {
+    body = this._codecs.get(contentType).encode(response);
+  } catch (err) {
+    return this._logger.error({ message: 'failed to encode response', data: err });
+  }
+
+  var self = this;
+  return this._senders.use(replyTo, function(sender) {
+    // the request may have been cancelled while attaching the sender
+    if (!!cancellationToken && cancellationToken.isCancelled) return;
+    return sender.send(body, {
+      properties: properties,
+      applicationProperties: { responder: self._identity }
+    });
+  });
 };
 
 function formatError(error) {
-  error = error || {};
+  // only protocol errors are sent, others are reported as an internal error,
+  // since they may expose internals and aren't necessarily serializable
+  if (!(error instanceof errors.ProtocolError)) error = new errors.InternalError();
 
   var errorData = {};
-  errorData.code = error.hasOwnProperty('code') ? error.code : ErrorCode.InternalError;
-  errorData.message = error.hasOwnProperty('message') ? error.message : 'Internal error';
-  errorData.data = error.hasOwnProperty('data') ? error.data : error;
+  errorData.code = error.code;
+  errorData.message = !!error.message ? error.message : 'Internal error';
+  if (error.hasOwnProperty('data')) errorData.data = error.data;
   return { error: errorData };
 }
 
@@ -160,131 +654,339 @@ function formatResponse(response) {
   return { result: (response === undefined) ? null : response };
 }
 
-RpcServer.prototype._processMessage = function(receiver, message) {
+RpcServer.prototype._processMessage = function(receiver, message, request) {
   if (!u.assertProperties(message, this._logger, ['body']))
     return receiver.modify(message, { undeliverableHere: true });
 
   var self = this;
   message.properties = message.properties || {};
   var replyTo = message.properties.replyTo,
-      correlationId = message.properties.correlationId;
+      correlationId = message.properties.correlationId,
+      contentType = message.properties.contentType,
+      codec = this._codecs.get(contentType);
 
-  var request;
-  if (typeof message.body === 'string') {
+  // requests with an unknown content type are answered with the default codec
+  if (!codec) {
+    receiver.accept(message);
+    return this._respond(replyTo, correlationId,
+      formatError(new errors.ParseError('Unsupported content type: ' + contentType)));
+  }
+
+  // requests are usually decoded on receipt, see `_receive`
+  if (request === undefined) {
     try {
-      request = JSON.parse(message.body);
+      request = codec.decode(message.body);
     } catch (err) {
+      receiver.accept(message);
       return this._respond(replyTo, correlationId,
-        { error: new errors.ParseError(err.message, message.body) });
+        formatError(new errors.ParseError(err.message, message.body)), null, contentType);
     }
-  } else {
-    request = message.body;
   }
 
-  if (!!this._interceptor) {
-    var shouldContinue = this._interceptor(receiver, message, request);
-    if (shouldContinue === false) return;
-  }
+  // the interceptor is called once per message, before it is settled, and
+  // takes over its disposition by returning false
+  if (!!this._interceptor && this._interceptor(receiver, message, request) === false) return;
+
+  // callers have stopped waiting for expired requests, e.g. after a backlog built up
+  var deadline = RequestContext.deadline(message, Date.now());
+  if (isExpired(deadline)) return this._dropExpired(receiver, message, request, deadline);
+
+  var cancellationToken = this._trackRequest(correlationId),
+      traceParent = !!this._tracer ? tracing.extract(message.applicationProperties) : null;
 
   // support for batch requests
   if (Array.isArray(request)) {
-    // interceptors are not supported in batch requests, so we always
-    // accept the message here
+    // batch requests are accepted on receipt, entries for which the middleware
+    // chain completes without a response are left out of the batch response
     receiver.accept(message);
-
-    return Promise.reduce(request, function(result, r) {
-      return Promise.try(function() {
-        var requestData =
-          self._processRequest(replyTo, correlationId, r);
-        return requestData[0].method.apply(null, requestData[1]);
-      })
-      .then(function(response) { return formatResponse(response); })
-      .error(function(err) { return formatError(err); })
-      .then(function(response) {
-        result.push(response);
-        return result;
-      });
+    if (!!this._metrics) this._metrics.batchSize.observe({}, request.length);
+
+    return Promise.reduce(request, function(result, r, idx) {
+      var context = self._createContext(receiver, message, request, r, cancellationToken, idx);
+      return self._run(context, traceParent)
+        .then(function() {
+          if (context.response === undefined) return result;
+
+          // echo entry ids so clients can match responses to requests
+          if (u.isPlainObject(r) && r.hasOwnProperty('id')) context.response.id = r.id;
+          result.push(context.response);
+          return result;
+        });
     }, [])
     .then(function(response) {
-      if (!!self._completionInterceptor) {
-        var shouldContinue = self._completionInterceptor(receiver, message, request, response);
-        if (shouldContinue === false) return;
-      }
-
-      return self._respond(replyTo, correlationId, response);
-    });
+      // batches of notifications, or vetoed entries, are not answered
+      if (!response.length || isExpired(deadline)) return;
+      if (!self._complete(receiver, message, request, response)) return;
+      return self._respond(replyTo, correlationId, response, cancellationToken, contentType);
+    })
+    .finally(function() { self._untrackRequest(correlationId, cancellationToken); });
   }
 
   // normal requests
-  var response =
-    Promise.try(function() {
-      var requestData =
-        self._processRequest(replyTo, correlationId, request);
-
-      if (!!requestData[0].interceptor) {
-        var shouldContinue =
-          requestData[0].interceptor(receiver, message, requestData[1]);
-        if (shouldContinue === false) return;
+  var context = this._createContext(receiver, message, request, request, cancellationToken);
+  return this._run(context, traceParent)
+    .then(function() {
+      if (context.response === undefined) {
+        // requests abandoned by their caller are settled without a response
+        if (cancellationToken.isCancelled) receiver.accept(message);
+        return;
       }
 
-      // make the actuall request call
-      return requestData[0].method.apply(null, requestData[1]);
-    });
+      if (!self._complete(receiver, message, request, context.response)) return;
 
-  return response
-    .then(function(response) { return formatResponse(response); })
-    .error(function(err) {
+      // indicate that the message was received, and processed
       receiver.accept(message);
-      return formatError(err);
+      if (isExpired(deadline)) return;
+
+      return self._respond(replyTo, correlationId, context.response, cancellationToken,
+        contentType);
     })
-    .then(function(response) {
-      if (!!self._completionInterceptor) {
-        var shouldContinue = self._completionInterceptor(receiver, message, request, response);
-        if (shouldContinue === false) return;
-      }
+    .finally(function() { self._untrackRequest(correlationId, cancellationToken); });
+};
 
-      // indicate that the message was received, and processed
-      receiver.accept(message);
+/**
+ * Calls the completion interceptor, if any, with the response to a message,
+ * for batches the whole batch response
+ *
+ * @return {Boolean} whether the response should be sent
+ */
+RpcServer.prototype._complete = function(receiver, message, request, response) {
+  if (!this._completionInterceptor) return true;
+  return this._completionInterceptor(receiver, message, request, response) !== false;
+};
 
-      return self._respond(replyTo, correlationId, response);
+function isExpired(deadline) {
+  return deadline !== undefined && deadline <= Date.now();
+}
+
+/**
+ * Settles a request which expired before being processed, without calling its
+ * method or responding
+ */
+RpcServer.prototype._dropExpired = function(receiver, message, request, deadline) {
+  if (this._expiredDisposition === ExpiredDisposition.Reject) {
+    receiver.reject(message);
+  } else if (this._expiredDisposition === ExpiredDisposition.Modify) {
+    receiver.modify(message, { deliveryFailed: true, undeliverableHere: true });
+  } else {
+    receiver.accept(message);
+  }
+
+  var method = Array.isArray(request) ? 'batch' : this._methodLabel(request);
+  if (!!this._metrics) this._metrics.expired.inc({ method: method });
+  this.emit('requestExpired', { message: message, method: method, deadline: deadline });
+};
+
+RpcServer.prototype._createContext = function(receiver, message, body, request,
+                                              cancellationToken, batchIndex) {
+  var context = new RequestContext(message, cancellationToken, this._logger);
+  context.receiver = receiver;
+  context.body = body;
+  context.request = request;
+  context.batchIndex = batchIndex;
+  return context;
+};
+
+/**
+ * Runs the middleware chain for a request, formatting errors thrown by
+ * middleware into the response
+ */
+RpcServer.prototype._run = function(context, traceParent) {
+  var self = this, record = this._measure(context.request);
+  return this._pipeline(context, function() { return self._handle(context, traceParent); })
+    .catch(function(err) { context.response = formatError(err); })
+    .then(function() { record(context.response === undefined ? null : context.response); });
+};
+
+/**
+ * Resolves, validates and calls the requested method, at the end of the
+ * middleware chain
+ */
+RpcServer.prototype._handle = function(context, traceParent) {
+  var self = this;
+  return Promise.try(function() {
+    context.cancellationToken.throwIfCancelled();
+    var methodHandler = self._processRequest(context, context.request);
+    return methodHandler.pipeline(context, function() {
+      return self._call(context, methodHandler, traceParent)
+        .then(function(result) { context.response = formatResponse(result); });
     });
+  })
+  .catch(errors.RequestCancelledError, function() {})
+  .catch(function(err) { context.response = formatError(err); });
+};
+
+/**
+ * Calls a method once its concurrency limit allows, failing with a
+ * `ServerTimeoutError` if it doesn't complete within the method timeout.
+ * Timed out calls are cancelled, but hold their slot, and count towards the
+ * server concurrency, until they complete.
+ */
+RpcServer.prototype._call = function(context, methodHandler, traceParent) {
+  var self = this, timeout = methodHandler.timeout, cancellationToken = context.cancellationToken;
+  return new Promise(function(resolve, reject) {
+    var invoke = function() {
+      // requests may expire while waiting for a free slot
+      if (context.isExpired())
+        throw new errors.ServerTimeoutError('Request expired before the method was called');
+      if (!timeout) return self._invoke(context, context.request.method, methodHandler, traceParent);
+
+      // the method is given its own token, so timing out doesn't abandon other entries of a batch
+      var token = context.cancellationToken = new CancellationToken(),
+          unsubscribe = CancellationToken.subscribe(cancellationToken, function() { token.cancel(); });
+      var invocation = self._invoke(context, context.request.method, methodHandler, traceParent);
+      var timeoutId = setTimeout(function() {
+        token.cancel();
+        reject(new errors.ServerTimeoutError('Method timed out after ' + timeout + 'ms'));
+        self._trackInflight(function() { return invocation.reflect(); });
+      }, timeout);
+
+      return invocation.finally(function() {
+        clearTimeout(timeoutId);
+        unsubscribe();
+      });
+    };
+
+    var invocation = !!methodHandler.limiter ?
+      methodHandler.limiter.run(invoke, cancellationToken) : Promise.try(invoke);
+    invocation.then(resolve, reject);
+  });
+};
+
+/**
+ * Returns the method name of a request used in metrics, only bound methods are
+ * used as labels, to bound the number of series
+ */
+RpcServer.prototype._methodLabel = function(request) {
+  return (u.isPlainObject(request) && this._methodHandlers.hasOwnProperty(request.method)) ?
+    request.method : UNKNOWN_METHOD;
 };
 
-RpcServer.prototype._processRequest = function(replyTo, correlationId, request) {
+/**
+ * Starts measuring a request, if metrics are enabled
+ *
+ * @return a function recording the outcome from the formatted response, further
+ *         calls are ignored, calls with `null` record no outcome, and calls without
+ *         a response count as errors
+ */
+RpcServer.prototype._measure = function(request) {
+  var metrics = this._metrics;
+  if (!metrics) return function() {};
+
+  var labels = { method: this._methodLabel(request) }, start = process.hrtime(), recorded = false;
+  metrics.requests.inc(labels);
+  metrics.inFlight.inc(labels);
+
+  return function(response) {
+    if (recorded) return;
+    recorded = true;
+    metrics.inFlight.dec(labels);
+    metrics.duration.observe(labels, MetricsRegistry.elapsed(start));
+    if (response === null) return;
+    if (!!response && !response.hasOwnProperty('error')) return metrics.successes.inc(labels);
+
+    var code = !!response ? response.error.code : MetricsRegistry.errorCode();
+    metrics.errors.inc({ method: labels.method, code: String(code) });
+  };
+};
+
+/**
+ * Creates a cancellation token for an incoming request, tracking it by
+ * correlation id so it can be cancelled by the client
+ */
+RpcServer.prototype._trackRequest = function(correlationId) {
+  var cancellationToken = new CancellationToken();
+  if (correlationId !== null && correlationId !== undefined)
+    this._activeRequests[correlationId] = cancellationToken;
+  return cancellationToken;
+};
+
+RpcServer.prototype._untrackRequest = function(correlationId, cancellationToken) {
+  if (this._activeRequests[correlationId] === cancellationToken)
+    delete this._activeRequests[correlationId];
+};
+
+RpcServer.prototype._cancelRequest = function(params) {
+  var correlationId = Array.isArray(params) ? params[0] : params;
+
+  // requests which haven't started are settled without being processed
+  for (var i = 0; i < this._backlog.length; ++i) {
+    var message = this._backlog[i].message;
+    if (!!message.properties && message.properties.correlationId === correlationId) {
+      this._backlog.splice(i, 1);
+      return this._receiver.accept(message);
+    }
+  }
+
+  if (!this._activeRequests.hasOwnProperty(correlationId)) return;
+
+  this._activeRequests[correlationId].cancel();
+  delete this._activeRequests[correlationId];
+};
+
+/**
+ * Invokes a method handler, within a child span of the caller's span when a
+ * tracer is used
+ */
+RpcServer.prototype._invoke = function(context, method, methodHandler, traceParent) {
+  var span = null;
+  if (!!this._tracer) {
+    span = this._tracer.startSpan(method, {
+      kind: 'server',
+      parent: traceParent || undefined,
+      attributes: {
+        'rpc.system': 'jsonrpc',
+        'rpc.method': method,
+        'messaging.system': 'amqp',
+        'messaging.message.conversation_id': context.correlationId
+      }
+    });
+  }
+
+  context.span = span;
+  return tracing.trace(span, function() {
+    var thisArg = methodHandler.hasOwnProperty('thisArg') ? methodHandler.thisArg : context;
+    return Promise.try(function() { return methodHandler.method.apply(thisArg, context.args); });
+  });
+};
+
+/**
+ * Resolves and validates the method of a request, setting the arguments it
+ * will be called with on the context
+ *
+ * @return the method handler
+ */
+RpcServer.prototype._processRequest = function(context, request) {
+  var source = { replyTo: context.replyTo, request: request };
   if (!request.hasOwnProperty('method')) {
     throw new errors.InvalidRequestError('Missing required property: method', {
-      source: { replyTo: replyTo, request: request }
+      source: source
     });
   }
 
   var method = request.method,
       params = request.params || [];
   if (!this._methodHandlers.hasOwnProperty(method)) {
-    throw new errors.MethodNotFoundError(method, {
-      source: { replyTo: replyTo, request: request }
-    });
+    throw new errors.MethodNotFoundError(method, { source: source });
   }
 
   var methodHandler = this._methodHandlers[method];
-  if (Array.isArray(params)) { // convert to named parameters
-    params = methodHandler.parameters.reduce(function(obj, p, idx) {
-      obj[p] = idx > params.length ? null : params[idx];
-      return obj;
-    }, {});
-  }
+  params = u.namedParams(methodHandler.parameters, params);
 
   if (!!methodHandler.validate && typeof methodHandler.validate === 'function') {
     var valid = methodHandler.validate(params);
     if (!valid) {
       throw new errors.InvalidParamsError('Validation Error', {
-        source: { replyTo: replyTo, request: request },
+        source: source,
         messages: methodHandler.validate.errors
       });
     }
   }
 
   var args = methodHandler.parameters.map(function(p) { return params[p]; });
-  return [ methodHandler, args ];
+  if (methodHandler.contextIndex !== -1) args.splice(methodHandler.contextIndex, 0, context);
+  context.args = args;
+  return methodHandler;
 };
 
 module.exports = RpcServer;
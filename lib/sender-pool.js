@@ -0,0 +1,145 @@
+'use strict';
+var Promise = require('bluebird'),
+    u = require('./utilities');
+
+var DEFAULT_MAX_SIZE = 100,
+    DEFAULT_IDLE_TIMEOUT = 30000;
+
+/**
+ * A pool of sender links keyed by address, so responses don't attach a link
+ * each. Concurrent uses of an address share the same sender, including while
+ * it is attaching. The least recently used idle senders are detached when the
+ * pool is full, as are senders which have been idle for too long, and senders
+ * whose link failed are replaced on next use.
+ *
+ * @param client the amqp client used to create senders
+ * @param {Object} [options] pool options
+ * @param {Number} [options.maxSize] the maximum number of senders kept attached
+ * @param {Number} [options.idleTimeout] time in ms after which an unused sender is detached, or 0 to keep it
+ * @param {Object} [options.logger] the logger used for error notification
+ * @constructor
+ */
+function SenderPool(client, options) {
+  options = options || {};
+  this._client = client;
+  this._logger = options.logger;
+  this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  this.idleTimeout = options.hasOwnProperty('idleTimeout') ? options.idleTimeout : DEFAULT_IDLE_TIMEOUT;
+  this._entries = new Map();   // in order of use, least recent first
+  this._closed = false;
+}
+
+/**
+ * The number of pooled senders
+ */
+Object.defineProperty(SenderPool.prototype, 'size', {
+  get: function() { return this._entries.size; }
+});
+
+/**
+ * Calls a function with the sender for an address, attaching one if none is
+ * pooled. Failures of the returned promise evict the sender, as does closing
+ * the pool, so senders used once closed are detached after use.
+ *
+ * @param {String} address the address to send to
+ * @param {Function} fn a function called with the sender, returning a promise
+ */
+SenderPool.prototype.use = function(address, fn) {
+  var self = this, entry = this._acquire(address);
+  if (this._closed) this._evict(entry);
+
+  return entry.attached
+    .then(fn)
+    .catch(function(err) {
+      self._evict(entry);
+      throw err;
+    })
+    .finally(function() { self._release(entry); });
+};
+
+/**
+ * Detaches all senders, those in use once they are released
+ */
+SenderPool.prototype.close = function() {
+  if (this._closed) return Promise.resolve();
+  this._closed = true;
+
+  var self = this, entries = [];
+  this._entries.forEach(function(entry) { entries.push(entry); });
+  return Promise.all(entries.map(function(entry) {
+    self._evict(entry);
+    return entry.detached;
+  }));
+};
+
+// private api
+SenderPool.prototype._acquire = function(address) {
+  var self = this, entry = this._entries.get(address);
+  if (!!entry) {
+    // reinsert as the most recently used
+    this._entries.delete(address);
+    clearTimeout(entry.timer);
+  } else {
+    entry = { address: address, refs: 0, timer: null, evicted: false };
+    entry.detached = new Promise(function(resolve) { entry.onDetached = resolve; });
+    entry.attached = Promise.resolve(this._client.createSender(address))
+      .tap(function(sender) {
+        var evict = function() { self._evict(entry); };
+        sender.on('errorReceived', evict);
+        sender.on('detached', evict);
+      });
+
+    // senders failing to attach aren't pooled, the error is handled by `use`
+    entry.attached.catch(function() { self._evict(entry); });
+  }
+
+  entry.refs++;
+  this._entries.set(address, entry);
+  this._trim();
+  return entry;
+};
+
+SenderPool.prototype._release = function(entry) {
+  if (--entry.refs > 0) return;
+  if (entry.evicted) return this._detach(entry);
+
+  var self = this;
+  if (!!this.idleTimeout) {
+    entry.timer = setTimeout(function() { self._evict(entry); }, this.idleTimeout);
+    if (typeof entry.timer.unref === 'function') entry.timer.unref();
+  }
+
+  this._trim();
+};
+
+/**
+ * Detaches idle senders, least recently used first, while the pool is full
+ */
+SenderPool.prototype._trim = function() {
+  if (this._entries.size <= this.maxSize) return;
+
+  var self = this, excess = this._entries.size - this.maxSize, idle = [];
+  this._entries.forEach(function(entry) {
+    if (idle.length < excess && !entry.refs) idle.push(entry);
+  });
+
+  idle.forEach(function(entry) { self._evict(entry); });
+};
+
+SenderPool.prototype._evict = function(entry) {
+  if (entry.evicted) return;
+  entry.evicted = true;
+  clearTimeout(entry.timer);
+  if (this._entries.get(entry.address) === entry) this._entries.delete(entry.address);
+  if (!entry.refs) this._detach(entry);
+};
+
+SenderPool.prototype._detach = function(entry) {
+  var self = this;
+  entry.attached
+    .then(function(sender) { return u.detachLink(sender, self._logger); })
+    .catch(function() {})
+    .then(function() { entry.onDetached(); });
+};
+
+module.exports = SenderPool;
@@ -0,0 +1,166 @@
+'use strict';
+var crypto = require('crypto');
+
+/**
+ * W3C trace context propagation over AMQP application properties.
+ *
+ * Tracers are plugged in through an adapter with the following interface, so
+ * OpenTelemetry or another implementation can be used:
+ *
+ *   tracer.startSpan(name, { kind, parent, attributes }) -> span
+ *     kind        'client' or 'server'
+ *     parent      the parent span context, if any
+ *     attributes  attributes describing the request
+ *   tracer.activeContext() -> span context (optional)
+ *     the parent for client spans when none is passed with the call
+ *
+ *   span.context() -> { traceId, spanId, traceFlags, traceState }
+ *   span.setError(err)
+ *   span.end()
+ */
+var tracing = module.exports = {};
+
+var TraceHeader = tracing.TraceHeader = {
+  Parent: 'traceparent',
+  State: 'tracestate'
+};
+
+var TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/,
+    INVALID_TRACE_ID = /^0{32}$/,
+    INVALID_SPAN_ID = /^0{16}$/;
+
+/**
+ * Parses a `traceparent` header into a span context
+ *
+ * @param {String} header the header value
+ * @return the span context, or null if the header is invalid
+ */
+tracing.parseTraceparent = function(header) {
+  if (typeof header !== 'string') return null;
+
+  var match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match || match[1] === 'ff') return null;
+  if (match[1] === '00' && !!match[5]) return null;
+  if (INVALID_TRACE_ID.test(match[2]) || INVALID_SPAN_ID.test(match[3])) return null;
+
+  return { traceId: match[2], spanId: match[3], traceFlags: parseInt(match[4], 16) };
+};
+
+/**
+ * Formats a span context as a `traceparent` header
+ */
+tracing.formatTraceparent = function(spanContext) {
+  var flags = ('0' + ((spanContext.traceFlags || 0) & 0xff).toString(16)).slice(-2);
+  return '00-' + spanContext.traceId + '-' + spanContext.spanId + '-' + flags;
+};
+
+/**
+ * Normalizes a span, span context or `traceparent` header into a span context
+ */
+tracing.toSpanContext = function(parent) {
+  if (!parent) return null;
+  if (typeof parent === 'string') return tracing.parseTraceparent(parent);
+  if (typeof parent.context === 'function') return parent.context();
+  return parent;
+};
+
+/**
+ * Injects a span's context into application properties
+ *
+ * @param span the span to propagate
+ * @param {Object} applicationProperties the application properties to inject into
+ */
+tracing.inject = function(span, applicationProperties) {
+  var spanContext = span.context();
+  applicationProperties[TraceHeader.Parent] = tracing.formatTraceparent(spanContext);
+  if (!!spanContext.traceState) applicationProperties[TraceHeader.State] = spanContext.traceState;
+  return applicationProperties;
+};
+
+/**
+ * Extracts a span context from application properties
+ *
+ * @param {Object} [applicationProperties] the application properties of a message
+ * @return the span context, or null if the message carries none
+ */
+tracing.extract = function(applicationProperties) {
+  if (!applicationProperties) return null;
+
+  var spanContext = tracing.parseTraceparent(applicationProperties[TraceHeader.Parent]);
+  if (!!spanContext && typeof applicationProperties[TraceHeader.State] === 'string')
+    spanContext.traceState = applicationProperties[TraceHeader.State];
+  return spanContext;
+};
+
+/**
+ * Runs a function within a span, recording errors and ending the span once
+ * the returned promise settles
+ *
+ * @param span the span, or null if tracing is disabled
+ * @param {Function} fn a function returning a promise
+ */
+tracing.trace = function(span, fn) {
+  var result = fn();
+  if (!span) return result;
+
+  result.then(function() { span.end(); }, function(err) {
+    span.setError(err);
+    span.end();
+  });
+
+  return result;
+};
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function InMemorySpan(tracer, name, options) {
+  var parent = options.parent;
+  this.name = name;
+  this.kind = options.kind;
+  this.attributes = options.attributes || {};
+  this.parentSpanId = !!parent ? parent.spanId : undefined;
+  this.startTime = Date.now();
+  this.endTime = undefined;
+  this.error = undefined;
+  this._tracer = tracer;
+  this._context = {
+    traceId: !!parent ? parent.traceId : randomId(16),
+    spanId: randomId(8),
+    traceFlags: !!parent ? parent.traceFlags : 1
+  };
+
+  if (!!parent && !!parent.traceState) this._context.traceState = parent.traceState;
+}
+
+InMemorySpan.prototype.context = function() { return this._context; };
+InMemorySpan.prototype.setError = function(err) { this.error = err; };
+InMemorySpan.prototype.end = function() {
+  if (this.endTime !== undefined) return;
+  this.endTime = Date.now();
+  this._tracer.spans.push(this);
+};
+
+/**
+ * A tracer which records finished spans in memory, useful for testing and as
+ * a reference implementation of the tracer adapter interface
+ *
+ * @constructor
+ */
+function InMemoryTracer() {
+  this.spans = [];
+}
+
+InMemoryTracer.prototype.startSpan = function(name, options) {
+  return new InMemorySpan(this, name, options || {});
+};
+
+/**
+ * Clears recorded spans
+ */
+InMemoryTracer.prototype.reset = function() {
+  this.spans = [];
+};
+
+tracing.InMemoryTracer = InMemoryTracer;
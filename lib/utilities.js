@@ -1,5 +1,17 @@
 'use strict';
-var u = module.exports = {};
+var Promise = require('bluebird'),
+    Ajv = require('ajv'),
+    errors = require('./errors'),
+    u = module.exports = {};
+
+/**
+ * Method names reserved for rpc protocol extensions
+ */
+u.ReservedMethod = {
+  Cancel: 'rpc.cancel',
+  Discover: 'rpc.discover',
+  Metrics: 'rpc.metrics'
+};
 
 /**
  * Asserts that given properties exist on an incoming message
@@ -37,6 +49,107 @@ u.extractParameterNames = function(func) {
   return result;
 };
 
+/**
+ * Formats the parameters of a request from a list of arguments, a single plain
+ * object is treated as named parameters
+ *
+ * @param {Array} args the arguments passed after the method name
+ * @return the formatted params, or undefined if there are none
+ */
+u.formatParams = function(args) {
+  if (args.length > 1) return args;
+  if (!!args[0]) return u.isPlainObject(args[0]) ? args[0] : [ args[0] ];
+};
+
+/**
+ * Detaches a link, logging rather than propagating failures
+ *
+ * @param link  the link to detach
+ * @param log   the logger used for error notification
+ */
+u.detachLink = function(link, log) {
+  if (!link) return Promise.resolve();
+  return Promise.resolve(link.detach())
+    .catch(function(err) { log.error({ message: 'failed to detach link', data: err }); });
+};
+
+/**
+ * Converts positional parameters to named parameters
+ *
+ * @param {Array} parameterNames  the names of the method's parameters
+ * @param {Array|Object} params   positional or named parameters
+ * @return {Object} the named parameters
+ */
+u.namedParams = function(parameterNames, params) {
+  if (!Array.isArray(params)) return params;
+  return parameterNames.reduce(function(obj, p, idx) {
+    obj[p] = idx > params.length ? null : params[idx];
+    return obj;
+  }, {});
+};
+
+/**
+ * Lists the names of an object's methods, including inherited ones, skipping
+ * constructors and methods prefixed with an underscore
+ */
+u.methodNames = function(obj) {
+  var names = [], seen = {};
+  function collect(o) {
+    Object.getOwnPropertyNames(o).forEach(function(name) {
+      if (seen.hasOwnProperty(name)) return;
+      seen[name] = true;
+
+      // read descriptors rather than values, so accessors aren't invoked
+      var descriptor = Object.getOwnPropertyDescriptor(o, name);
+      if (name !== 'constructor' && name.charAt(0) !== '_' && typeof descriptor.value === 'function')
+        names.push(name);
+    });
+  }
+
+  for (var o = obj; !!o && o !== Object.prototype && o !== Function.prototype; o = Object.getPrototypeOf(o))
+    collect(o);
+  return names;
+};
+
+/**
+ * Composes middleware into a single function, which calls each middleware
+ * with a context and a `next` function invoking the following one
+ *
+ * @param {Array} middleware functions accepting `(ctx, next)`, optionally returning a promise
+ * @return a function accepting `(ctx, last)`, where `last` is called by the final `next`
+ */
+u.compose = function(middleware) {
+  return function(ctx, last) {
+    var index = -1;
+    function dispatch(i) {
+      if (i <= index)
+        return Promise.reject(new errors.InternalError('next() called multiple times'));
+      index = i;
+
+      var fn = (i === middleware.length) ? last : middleware[i];
+      if (!fn) return Promise.resolve();
+      return Promise.try(function() {
+        return fn(ctx, function() { return dispatch(i + 1); });
+      });
+    }
+
+    return dispatch(0);
+  };
+};
+
+/**
+ * Creates the Ajv instance used to validate method parameters
+ */
+u.createAjv = function() {
+  return new Ajv({
+    v5: true,
+    allErrors: true,
+    coerceTypes: true,
+    removeAdditional: true,
+    ownProperties: true
+  });
+};
+
 /**
  * Determines whether passed value is a plain object
  */
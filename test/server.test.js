@@ -5,6 +5,7 @@ var Promise = require('bluebird'),
     errors = rpc.Errors,
     ErrorCode = errors.ErrorCode,
     config = require('./config'),
+    notepack = require('notepack.io'),
     expect = require('chai').expect;
 
 function TestFixture() {}
@@ -85,6 +86,26 @@ describe('errors', function() {
       });
   });
 
+  it('should throw an error when defining an application error with a reserved code', function() {
+    expect(function() { errors.define('ReservedError', -32100); })
+      .to.throw(errors.InvalidErrorDefinitionError);
+    expect(function() { errors.define('ParseError', ErrorCode.ParseError); })
+      .to.throw(errors.InvalidErrorDefinitionError);
+    expect(function() { errors.define('FractionalError', 1.5); })
+      .to.throw(errors.InvalidErrorDefinitionError);
+    expect(function() { errors.define('BusyError', ErrorCode.ServerBusy); })
+      .to.throw(errors.InvalidErrorDefinitionError, 'reserved code: -32000');
+    expect(function() { errors.define('TimeoutError', ErrorCode.ServerTimeout); })
+      .to.throw(errors.InvalidErrorDefinitionError, 'reserved code: -32002');
+  });
+
+  it('should throw an error when defining an application error with a taken code', function() {
+    var ConflictError = errors.define('ConflictError', 409);
+    expect(errors.define('ConflictError', 409)).to.equal(ConflictError);
+    expect(function() { errors.define('OtherConflictError', 409); })
+      .to.throw(errors.InvalidErrorDefinitionError);
+  });
+
   it('should return an error if request body is not an object', function(done) {
     test.receiver.on('message', function(m) {
       expectError(m, 'llama', ErrorCode.ParseError, /Unexpected token i/);
@@ -209,7 +230,7 @@ describe('errors', function() {
 
   it('should catch operational errors and return them as error responses', function(done) {
     test.receiver.on('message', function(m) {
-      expectError(m, 'llama', ErrorCode.InternalError, 'an error occurred');
+      expectError(m, 'llama', ErrorCode.InternalError, 'Internal error');
       done();
     });
 
@@ -230,6 +251,39 @@ describe('errors', function() {
     });
   });
 
+  it('should return an internal error when a method throws a plain error', function(done) {
+    test.receiver.on('message', function(m) {
+      expectError(m, 'llama', ErrorCode.InternalError, 'Internal error');
+      expect(m.body.error.data).to.not.exist;
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() { throw new Error('secret details'); });
+      return sender.send({ method: 'testMethod' }, {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    });
+  });
+
+  it('should keep processing requests after a method rejects with a plain error', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('failingMethod', function() { return Promise.reject(new Error('failed')); });
+      server.bind('testMethod', function() { return 'works'; });
+      return expect(client.call('failingMethod')).to.be.rejectedWith(errors.InternalError)
+        .then(function() { return client.call('testMethod'); });
+    })
+    .then(function(result) { expect(result).to.equal('works'); });
+  });
+
 }); // errors
 
 describe('basic behavior', function() {
@@ -449,12 +503,14 @@ describe('basic behavior', function() {
 }); // basic behavior
 
 describe('batch messages', function() {
+  var server;
   before(function() { amqp.use(rpc()); });
   afterEach(function() { return test.teardown(); });
   beforeEach(function() {
     return test.setup()
       .then(function() { return test.client.createRpcServer('rpc.request'); })
-      .then(function(server) {
+      .then(function(s) {
+        server = s;
         server.bind('firstMethod', function() { return 1; });
         server.bind('secondMethod', function() { return 'two'; });
         server.bind('thirdMethod', function() { return true; });
@@ -509,182 +565,1688 @@ describe('batch messages', function() {
       });
   });
 
-}); // batch messages
-
-describe('validation', function() {
-  before(function() { amqp.use(rpc()); });
-  beforeEach(function() {
-    return test.setup()
-      .then(function() { return test.client.createRpcServer('rpc.request'); })
-      .then(function(server) {
-        test.server = server;
-        test.server.bind({
-          method: 'testMethod',
-          params: {
-            type: 'object',
-            properties: {
-              one: { type: 'integer', minimum: 1900, maximum: 2013, exclusiveMaximum: true },
-              two: { type: 'string' },
-              three: { type: 'boolean' }
-            },
-            required: [ 'two', 'three' ]
-          }
-        }, function(one, two, three) {
-          return true;
-        });
-      });
-  });
-
-  afterEach(function() {
-    return test.teardown()
-      .then(function() { delete test.server; });
-  });
-
-  describe('errors', function() {
-    it('should throw an error when defining validations for unknown parameters', function() {
-      expect(function() {
-        test.server.bind({
-          method: 'invalid',
-          params: {
-            type: 'object',
-            properties: {
-              one: { type: 'string' }
-            },
-            required: [ 'one' ]
-          }
-        }, function(first) {});
-      }).to.throw(errors.InvalidValidationDefinitionError);
-    });
-  });
-
-  it('should allow validating parameters based on schema', function(done) {
+  it('should echo entry ids in batch responses', function(done) {
     test.receiver.on('message', function(m) {
-      expect(m.body).to.have.key('result');
-      expect(m.body.result).to.equal(true);
+      expect(m.body).to.eql([ { result: 1, id: 'a' }, { result: 'two' } ]);
       done();
     });
 
     test.client.createSender('rpc.request')
       .then(function(sender) {
-        return sender.send({ method: 'testMethod', params: [ 1901, 'two', false ] }, {
+        return sender.send([
+          { method: 'firstMethod', id: 'a' },
+          { method: 'secondMethod' }
+        ], {
           properties: { replyTo: 'rpc.response', correlationId: 'llama' }
         });
       });
   });
 
-  it('should return an error if validation fails', function(done) {
+  it('should return an internal error for batch entries throwing plain errors', function(done) {
     test.receiver.on('message', function(m) {
-      expect(m.body).to.have.key('error');
+      expect(m.properties.correlationId).to.eql('llama');
+      expect(m.body).to.eql([
+        { result: 1 },
+        { error: { code: ErrorCode.InternalError, message: 'Internal error' } },
+        { result: true }
+      ]);
       done();
     });
 
+    server.bind('failingMethod', function() { throw new Error('secret details'); });
     test.client.createSender('rpc.request')
       .then(function(sender) {
-        return sender.send({ method: 'testMethod', params: [ 'notANumber', -1, 'notABoolean' ] }, {
+        return sender.send([
+          { method: 'firstMethod' },
+          { method: 'failingMethod' },
+          { method: 'thirdMethod' },
+        ], {
           properties: { replyTo: 'rpc.response', correlationId: 'llama' }
         });
       });
   });
+}); // batch messages
 
-}); // validation
-
-describe('interceptor', function() {
+describe('cancellation', function() {
   before(function() { amqp.use(rpc()); });
   beforeEach(function() { return test.setup(); });
   afterEach(function() { return test.teardown(); });
 
-  it('should allow users to intercept the request process (for custom disposition)', function(done) {
-    var received = 0;
+  it('should suppress the response of a cancelled request', function(done) {
     test.receiver.on('message', function(m) { done('this should not happen'); });
-    var interceptor = function(receiver, message, request) {
-      if (received === 0) {
-        receiver.release(message);
-        received++;
-        return false;
-      }
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('slowMethod', function() {
+        var cancellationToken = this.cancellationToken;
+        return Promise.delay(100)
+          .then(function() {
+            expect(cancellationToken.isCancelled).to.be.true;
+            setTimeout(done, 100);
+          });
+      });
 
-      receiver.accept(message);
-      process.nextTick(function() { done(); });
-      return false;
-    };
+      return Promise.all([
+        sender.send({ method: 'slowMethod' }, {
+          properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+        }),
+        sender.send({ method: 'rpc.cancel', params: [ 'llama' ] })
+      ]);
+    });
+  });
+
+  it('should settle requests whose method throws once cancelled', function() {
+    var token = new rpc.CancellationToken(), accepted = 0, cancelled = false;
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      var accept = server._receiver.accept;
+      server._receiver.accept = function(m) {
+        if (!!m.properties.correlationId) accepted++;
+        return accept.apply(this, arguments);
+      };
+
+      server.bind('slowMethod', function() {
+        var cancellationToken = this.cancellationToken;
+        return Promise.delay(100).then(function() {
+          cancelled = cancellationToken.isCancelled;
+          cancellationToken.throwIfCancelled();
+          return 'too late';
+        });
+      });
+
+      server.bind('testMethod', function() { return 'works'; });
+      var call = client.callWithOptions('slowMethod', null, { cancelToken: token });
+      return Promise.delay(20)
+        .then(function() {
+          token.cancel();
+          return expect(call).to.be.rejectedWith(errors.RequestCancelledError);
+        })
+        .delay(150)
+        .then(function() {
+          expect(cancelled).to.be.true;
+          expect(accepted).to.equal(1);
+          return client.call('testMethod');
+        });
+    })
+    .then(function(result) { expect(result).to.equal('works'); });
+  });
+}); // cancellation
+
+describe('context', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should call methods with the request context as `this`', function(done) {
+    test.receiver.on('message', function(m) {
+      expectResult(m, 'llama', true);
+      done();
+    });
 
     Promise.all([
-      test.client.createRpcServer('rpc.request.queue', { interceptor: interceptor }),
-      test.client.createSender('rpc.request.queue')
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
     ])
     .spread(function(server, sender) {
-      server.bind({
-        method: 'testInterceptor'
-      }, function() { return true; });
+      server.bind('testMethod', function(one) {
+        expect(one).to.equal(1);
+        expect(this).to.be.an.instanceOf(rpc.RequestContext);
+        expect(this.correlationId).to.equal('llama');
+        expect(this.replyTo).to.equal('rpc.response');
+        expect(this.userId).to.equal('llama-user');
+        expect(this.applicationProperties).to.eql({ tenant: 'alpacas' });
+        expect(this.cancellationToken.isCancelled).to.be.false;
+        expect(this.message.body).to.eql({ method: 'testMethod', params: [ 1 ] });
+        expect(this.remainingTime()).to.be.within(1, 1000);
+        expect(this.isExpired()).to.be.false;
+        return true;
+      });
 
-      return sender.send({ method: 'testInterceptor', params: [ 'notANumber' ] }, {
-        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      return sender.send({ method: 'testMethod', params: [ 1 ] }, {
+        header: { ttl: 1000 },
+        properties: {
+          replyTo: 'rpc.response', correlationId: 'llama', userId: Buffer.from('llama-user')
+        },
+        applicationProperties: { tenant: 'alpacas' }
       });
     });
   });
 
-  it('should allow users define a completionInterceptor', function(done) {
-    var received = 0;
-    test.receiver.on('message', function(m) { done('this should not happen'); });
-    var interceptor = function(receiver, message, request, response) {
-      expect(response).to.eql({ result: true });
-      if (received === 0) {
-        receiver.release(message);
-        received++;
-        return false;
-      }
-
-      receiver.accept(message);
-      process.nextTick(function() { done(); });
-      return false;
-    };
+  it('should inject the request context as a `$ctx` parameter', function(done) {
+    test.receiver.on('message', function(m) {
+      expectResult(m, 'llama', [ 1, 'llama', 'two' ]);
+      done();
+    });
 
     Promise.all([
-      test.client.createRpcServer('rpc.request.queue', { completionInterceptor: interceptor }),
-      test.client.createSender('rpc.request.queue')
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
     ])
     .spread(function(server, sender) {
       server.bind({
-        method: 'testCompletionInterceptor'
-      }, function() { return true; });
+        method: 'testMethod',
+        params: {
+          type: 'object',
+          properties: { one: { type: 'number' }, two: { type: 'string' } },
+          required: [ 'one', 'two' ]
+        }
+      }, function(one, $ctx, two) { return [ one, $ctx.correlationId, two ]; });
 
-      return sender.send({ method: 'testCompletionInterceptor', params: [ 'notANumber' ] }, {
+      expect(server.describe().methods[0].params.map(function(p) { return p.name; }))
+        .to.eql([ 'one', 'two' ]);
+
+      return sender.send({ method: 'testMethod', params: [ 1, 'two' ] }, {
         properties: { replyTo: 'rpc.response', correlationId: 'llama' }
       });
     });
   });
 
-  it('should allow method-level interceptors', function(done) {
-    var received = 0;
-    test.receiver.on('message', function(m) { done('this should not happen'); });
-    var interceptor = function(receiver, message, request) {
-      if (received === 0) {
-        receiver.release(message);
-        received++;
-        return false;
-      }
+  it('should report no deadline for requests without a ttl', function() {
+    var context = new rpc.RequestContext({ properties: {} }, new rpc.CancellationToken());
+    expect(context.deadline).to.not.exist;
+    expect(context.remainingTime()).to.equal(Infinity);
+    expect(context.isExpired()).to.be.false;
+  });
 
-      receiver.accept(message);
-      process.nextTick(function() { done(); });
-      return false;
+  it('should bind the correlation id to the context logger', function() {
+    var entries = [], logger = {
+      error: function() { entries.push(Array.prototype.slice.call(arguments)); }
     };
 
-    Promise.all([
-      test.client.createRpcServer('rpc.request.queue'),
-      test.client.createSender('rpc.request.queue')
+    var context = new rpc.RequestContext(
+      { properties: { correlationId: 'llama' } }, new rpc.CancellationToken(), logger);
+    context.logger.error('failed', 42);
+    expect(context.logger.info).to.not.exist;
+    expect(entries).to.eql([ [ '[llama]', 'failed', 42 ] ]);
+  });
+}); // context
+
+describe('bindAll', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  class BaseService {
+    constructor() { this.users = {}; }
+    get(id) { return this.users[id] || null; }
+    _internal() { return 'secret'; }
+  }
+
+  class UserService extends BaseService {
+    create(id, name, $ctx) {
+      this.users[id] = { name: name, by: $ctx.applicationProperties.user };
+      return true;
+    }
+
+    get count() { throw new Error('accessors should not be invoked'); }
+    remove(id) { delete this.users[id]; }
+  }
+
+  it('should bind own and inherited methods of a class instance', function() {
+    var service = new UserService();
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
     ])
-    .spread(function(server, sender) {
-      server.bind({
-        method: 'testInterceptor',
-        interceptor: interceptor
-      }, function() { return true; });
+    .spread(function(server, client) {
+      var names = server.bindAll(service, { prefix: 'users.' });
+      expect(names).to.have.members([ 'users.create', 'users.remove', 'users.get' ]);
+      expect(server.describe().methods.map(function(m) { return m.name; }))
+        .to.have.members(names);
+
+      return client.callWithOptions('users.create', [ 1, 'llama' ], {
+        applicationProperties: { user: 'admin' }
+      })
+      .then(function() { return client.call('users.get', 1); })
+      .then(function(user) {
+        expect(user).to.eql({ name: 'llama', by: 'admin' });
+        return expect(client.call('users._internal')).to.be.rejectedWith(errors.MethodNotFoundError);
+      });
+    });
+  });
 
-      return sender.send({ method: 'testInterceptor', params: [ 'notANumber' ] }, {
-        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+  it('should filter methods and apply definitions', function() {
+    var calls = [];
+    var api = {
+      add: function(a, b) { return a + b; },
+      subtract: function(a, b) { return a - b; },
+      multiply: function(a, b) { return a * b; }
+    };
+
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      var names = server.bindAll(api, {
+        exclude: [ 'multiply' ],
+        definitions: {
+          add: {
+            params: { properties: { a: { type: 'number' }, b: { type: 'number' } }, required: [ 'a', 'b' ] },
+            middleware: function(ctx, next) { calls.push('add'); return next(); }
+          }
+        },
+        middleware: function(ctx, next) { calls.push(ctx.request.method); return next(); }
+      });
+
+      expect(names).to.eql([ 'add', 'subtract' ]);
+      expect(server.bindAll(api, { prefix: 'math.', include: [ 'multiply' ] })).to.eql([ 'math.multiply' ]);
+      return Promise.all([
+        client.call('add', 1, 2),
+        client.call('subtract', 3, 1),
+        client.call('math.multiply', 2, 3),
+        expect(client.call('add', 1)).to.be.rejectedWith(errors.InvalidParamsError)
+      ]);
+    })
+    .spread(function(sum, difference, product) {
+      expect([ sum, difference, product ]).to.eql([ 3, 2, 6 ]);
+      expect(calls).to.include.members([ 'add', 'subtract' ]);
+      expect(calls.filter(function(c) { return c === 'add'; })).to.have.length(2);
+    });
+  });
+
+  it('should bind all or none of the methods', function() {
+    var api = { one: function() {}, two: function() {} };
+    return test.client.createRpcServer('rpc.request')
+      .then(function(server) {
+        expect(function() { server.bindAll(api, { include: [ 'three' ] }); })
+          .to.throw(errors.InvalidMethodDefinitionError, 'unknown method "three"');
+        expect(function() { server.bindAll(api, { definitions: { three: {} } }); })
+          .to.throw(errors.InvalidMethodDefinitionError, 'unknown method "three"');
+        expect(function() {
+          server.bindAll(api, { definitions: { two: { params: { properties: { llama: {} } } } } });
+        }).to.throw(errors.InvalidValidationDefinitionError);
+
+        server.bind('two', function() {});
+        expect(function() { server.bindAll(api); }).to.throw(errors.DuplicateMethodError);
+        expect(server.describe().methods.map(function(m) { return m.name; })).to.eql([ 'two' ]);
+      });
+  });
+}); // bindAll
+
+describe('namespace', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should bind methods under a prefix with namespace middleware', function() {
+    var calls = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      var users = server.namespace('users'),
+          admin = users.namespace('admin');
+
+      server.use(function(ctx, next) { calls.push('server:' + ctx.request.method); return next(); });
+      users.bind('get', function(id) { return { id: id }; });
+      users.bind(function list() { return []; });
+      users.bindAll({ count: function() { return 0; } }, { prefix: 'stats.' });
+      admin.bind({
+        method: 'remove',
+        middleware: function(ctx, next) { calls.push('method'); return next(); }
+      }, function(id) { return id; });
+
+      // middleware added after binding still applies
+      users.use(function(ctx, next) { calls.push('users'); return next(); });
+      admin.use(function(ctx, next) { calls.push('admin'); return next(); });
+      server.bind('other', function() { return true; });
+
+      expect(admin.prefix).to.equal('users.admin.');
+      return Promise.mapSeries([
+        [ 'users.get', 1 ], [ 'users.list' ], [ 'users.stats.count' ], [ 'users.admin.remove', 2 ], [ 'other' ]
+      ], function(args) { return client.call.apply(client, args); });
+    })
+    .then(function(results) {
+      expect(results).to.eql([ { id: 1 }, [], 0, 2, true ]);
+      expect(calls).to.eql([
+        'server:users.get', 'users',
+        'server:users.list', 'users',
+        'server:users.stats.count', 'users',
+        'server:users.admin.remove', 'users', 'admin', 'method',
+        'server:other'
+      ]);
+    });
+  });
+
+  it('should throw for invalid namespaces and middleware', function() {
+    return test.client.createRpcServer('rpc.request')
+      .then(function(server) {
+        expect(function() { server.namespace(''); }).to.throw(errors.InvalidMethodNameError);
+        expect(function() { server.namespace('users').use('llama'); })
+          .to.throw(errors.InvalidMiddlewareError);
       });
+  });
+}); // namespace
+
+describe('unbind and rebind', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should unbind methods', function() {
+    var events = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.on('methodsChanged', function(event) { events.push(event); });
+      server.bind('testMethod', function() { return true; });
+      return client.call('testMethod')
+        .then(function(result) {
+          expect(result).to.be.true;
+          expect(server.unbind('testMethod')).to.be.true;
+          expect(server.unbind('testMethod')).to.be.false;
+          return expect(client.call('testMethod')).to.be.rejectedWith(errors.MethodNotFoundError);
+        });
+    })
+    .then(function() {
+      expect(events).to.eql([
+        { type: 'bound', method: 'testMethod' },
+        { type: 'unbound', method: 'testMethod' }
+      ]);
     });
   });
 
+  it('should let in-flight requests finish with the replaced method', function() {
+    var events = [], release;
+    var pending = new Promise(function(resolve) { release = resolve; });
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.on('methodsChanged', function(event) { events.push(event.type); });
+      server.bind('testMethod', function() {
+        process.nextTick(function() {
+          server.rebind('testMethod', {
+            params: { properties: { value: { type: 'string' } } }
+          }, function(value) { return 'v2:' + value; });
+
+          release();
+        });
+
+        return pending.then(function() { return 'v1'; });
+      });
+
+      return client.call('testMethod', 'llama')
+        .then(function(result) {
+          expect(result).to.equal('v1');
+          return client.call('testMethod', 'llama');
+        })
+        .then(function(result) {
+          expect(result).to.equal('v2:llama');
+          server.rebind('otherMethod', function() { return true; });
+          return client.call('otherMethod');
+        });
+    })
+    .then(function(result) {
+      expect(result).to.be.true;
+      expect(events).to.eql([ 'bound', 'rebound', 'bound' ]);
+    });
+  });
+
+  it('should keep the previous method if the new definition is invalid', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('testMethod', function() { return 'v1'; });
+      expect(function() {
+        server.rebind('testMethod', { params: { properties: { llama: {} } } }, function() {});
+      }).to.throw(errors.InvalidValidationDefinitionError);
+
+      return client.call('testMethod');
+    })
+    .then(function(result) { expect(result).to.equal('v1'); });
+  });
+
+  it('should rebind and unbind methods in a namespace', function() {
+    var calls = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      var users = server.namespace('users')
+        .use(function(ctx, next) { calls.push(ctx.request.method); return next(); });
+
+      users.bind('get', function() { return 'v1'; });
+      users.rebind('get', function() { return 'v2'; });
+      return client.call('users.get')
+        .then(function(result) {
+          expect(result).to.equal('v2');
+          expect(users.unbind('get')).to.be.true;
+          return expect(client.call('users.get')).to.be.rejectedWith(errors.MethodNotFoundError);
+        });
+    })
+    .then(function() { expect(calls).to.eql([ 'users.get' ]); });
+  });
+}); // unbind and rebind
+
+describe('concurrency', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  function trackRunning(stats, duration, result) {
+    stats.running++;
+    stats.max = Math.max(stats.max, stats.running);
+    return Promise.delay(duration)
+      .then(function() {
+        stats.running--;
+        return result;
+      });
+  }
+
+  it('should limit the number of concurrently processed requests', function() {
+    var stats = { running: 0, max: 0 };
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 2 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('slowMethod', function(value) { return trackRunning(stats, 50, value); });
+      return Promise.all([ 1, 2, 3, 4, 5 ].map(function(v) { return client.call('slowMethod', v); }));
+    })
+    .then(function(results) {
+      expect(results).to.eql([ 1, 2, 3, 4, 5 ]);
+      expect(stats.max).to.equal(2);
+    });
+  });
+
+  it('should reject calls over a method limit with a full queue', function() {
+    var stats = { running: 0, max: 0 };
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind({ method: 'exportMethod', maxConcurrent: 1, maxQueued: 0 }, function() {
+        return trackRunning(stats, 100, 'exported');
+      });
+
+      server.bind('cheapMethod', function() { return stats.running; });
+      var exported = client.call('exportMethod');
+      return Promise.delay(20)
+        .then(function() {
+          return Promise.all([
+            expect(client.call('exportMethod')).to.be.rejectedWith(errors.ServerBusyError, 'Server busy'),
+            client.call('cheapMethod')
+          ]);
+        })
+        .spread(function(err, running) {
+          expect(running).to.equal(1);
+          return exported;
+        });
+    })
+    .then(function(result) {
+      expect(result).to.equal('exported');
+      expect(stats.max).to.equal(1);
+    });
+  });
+
+  it('should queue calls over a method limit', function() {
+    var stats = { running: 0, max: 0 };
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind({ method: 'exportMethod', maxConcurrent: 2 }, function(value) {
+        return trackRunning(stats, 30, value);
+      });
+
+      return Promise.all([ 1, 2, 3, 4 ].map(function(v) { return client.call('exportMethod', v); }));
+    })
+    .then(function(results) {
+      expect(results).to.eql([ 1, 2, 3, 4 ]);
+      expect(stats.max).to.equal(2);
+    });
+  });
+
+  it('should remove cancelled calls from the queue', function() {
+    var token = new rpc.CancellationToken(), calls = [], accepted = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      var accept = server._receiver.accept;
+      server._receiver.accept = function(m) {
+        if (!!m.properties.correlationId) accepted.push(m.properties.correlationId);
+        return accept.apply(this, arguments);
+      };
+
+      server.bind({ method: 'exportMethod', maxConcurrent: 1 }, function(value) {
+        calls.push(value);
+        return Promise.delay(100).return(value);
+      });
+
+      var first = client.call('exportMethod', 1),
+          cancelled = client.callWithOptions('exportMethod', [ 2 ], { cancelToken: token });
+      return Promise.delay(20)
+        .then(function() {
+          token.cancel();
+          return Promise.all([
+            first,
+            expect(cancelled).to.be.rejectedWith(errors.RequestCancelledError),
+            client.call('exportMethod', 3)
+          ]);
+        });
+    })
+    .spread(function(first, cancelled, third) {
+      expect([ first, third ]).to.eql([ 1, 3 ]);
+      expect(calls).to.eql([ 1, 3 ]);
+
+      // the cancelled request is settled, along with the others
+      expect(accepted).to.have.length(3);
+    });
+  });
+
+  it('should count running requests towards the limit of a rebound method', function() {
+    var stats = { running: 0, max: 0 }, started;
+    var running = new Promise(function(resolve) { started = resolve; });
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind({ method: 'exportMethod', maxConcurrent: 1 }, function() {
+        started();
+        return trackRunning(stats, 100, 'v1');
+      });
+
+      var first = client.call('exportMethod');
+      return running
+        .then(function() {
+          server.rebind('exportMethod', { maxConcurrent: 1, maxQueued: 0 }, function() {
+            return trackRunning(stats, 100, 'v2');
+          });
+
+          return Promise.all([
+            first,
+            expect(client.call('exportMethod')).to.be.rejectedWith(errors.ServerBusyError)
+          ]);
+        })
+        .spread(function(result) {
+          expect(result).to.equal('v1');
+          return client.call('exportMethod');
+        });
+    })
+    .then(function(result) {
+      expect(result).to.equal('v2');
+      expect(stats.max).to.equal(1);
+    });
+  });
+
+  it('should throw for invalid method limits', function() {
+    return test.client.createRpcServer('rpc.request')
+      .then(function(server) {
+        expect(function() { server.bind({ method: 'one', maxConcurrent: 0 }, function() {}); })
+          .to.throw(errors.InvalidMethodDefinitionError);
+        expect(function() { server.bind({ method: 'two', maxConcurrent: 1.5 }, function() {}); })
+          .to.throw(errors.InvalidMethodDefinitionError);
+        expect(function() {
+          server.bind({ method: 'three', maxConcurrent: 1, maxQueued: 'llama' }, function() {});
+        }).to.throw(errors.InvalidMethodDefinitionError);
+      });
+  });
+}); // concurrency
+
+describe('deadlines', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should drop requests which expired before being processed', function() {
+    var responses = [], expired = [], called = [];
+    test.receiver.on('message', function(m) { responses.push(m.body); });
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { metrics: true, expiredDisposition: 'reject' }),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.on('requestExpired', function(event) { expired.push(event); });
+      server.bind('testMethod', function(value) { called.push(value); return value; });
+
+      var creationTime = new Date(Date.now() - 5000);
+      return Promise.all([
+        sender.send({ method: 'testMethod', params: [ 1 ] }, {
+          header: { ttl: 1000 },
+          properties: { replyTo: 'rpc.response', correlationId: 'expired', creationTime: creationTime }
+        }),
+        sender.send({ method: 'testMethod', params: [ 2 ] }, {
+          header: { ttl: 10000 },
+          properties: { replyTo: 'rpc.response', correlationId: 'llama', creationTime: creationTime }
+        })
+      ])
+      .delay(100)
+      .then(function() {
+        expect(called).to.eql([ 2 ]);
+        expect(responses).to.eql([ { result: 2 } ]);
+        expect(expired).to.have.length(1);
+        expect(expired[0].method).to.equal('testMethod');
+        expect(expired[0].deadline).to.equal(creationTime.getTime() + 1000);
+        expect(expired[0].message.properties.correlationId).to.equal('expired');
+        expect(server.metrics.get('amqp_rpc_server_expired_total').get({ method: 'testMethod' }))
+          .to.equal(1);
+      });
+    });
+  });
+
+  it('should expose the deadline computed from the creation time', function(done) {
+    var creationTime = new Date(Date.now() - 500);
+    test.receiver.on('message', function(m) {
+      expectResult(m, 'llama', creationTime.getTime() + 2000);
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() {
+        expect(this.remainingTime()).to.be.within(1, 1500);
+        return this.deadline;
+      });
+
+      return sender.send({ method: 'testMethod' }, {
+        header: { ttl: 2000 },
+        properties: { replyTo: 'rpc.response', correlationId: 'llama', creationTime: creationTime }
+      });
+    });
+  });
+
+  it('should not respond to requests which expired while being processed', function() {
+    var responses = [], finished = false;
+    test.receiver.on('message', function(m) { responses.push(m.body); });
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('slowMethod', function() {
+        return Promise.delay(100).then(function() { finished = true; });
+      });
+
+      return sender.send({ method: 'slowMethod' }, {
+        header: { ttl: 50 },
+        properties: { replyTo: 'rpc.response', correlationId: 'llama', creationTime: new Date() }
+      });
+    })
+    .delay(200)
+    .then(function() {
+      expect(finished).to.be.true;
+      expect(responses).to.be.empty;
+    });
+  });
+
+  it('should respond with a timeout error when a method exceeds its timeout', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind({ method: 'slowMethod', timeout: 50 }, function() {
+        return Promise.delay(500).return('too late');
+      });
+
+      server.bind({ method: 'fastMethod', timeout: 500 }, function() { return 'fast'; });
+      return Promise.all([ client.call('slowMethod').reflect(), client.call('fastMethod') ]);
+    })
+    .spread(function(slow, result) {
+      var err = slow.reason();
+      expect(err).to.be.an.instanceOf(errors.ServerTimeoutError);
+      expect(err.message).to.equal('Method timed out after 50ms');
+      expect(err.code).to.equal(ErrorCode.ServerTimeout);
+      expect(result).to.equal('fast');
+    });
+  });
+
+  it('should cancel timed out methods, holding their slot until they complete', function() {
+    var events = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind({ method: 'slowMethod', timeout: 50, maxConcurrent: 1 }, function(value) {
+        var token = this.cancellationToken;
+        events.push('start:' + value);
+        return Promise.delay(value === 1 ? 150 : 10)
+          .then(function() { events.push('end:' + value + ':' + token.isCancelled); });
+      });
+
+      return Promise.all([
+        expect(client.call('slowMethod', 1)).to.be.rejectedWith(errors.ServerTimeoutError),
+        Promise.delay(20).then(function() { return client.call('slowMethod', 2); })
+      ]);
+    })
+    .then(function() {
+      expect(events).to.eql([ 'start:1', 'end:1:true', 'start:2', 'end:2:false' ]);
+    });
+  });
+
+  it('should not call methods for requests which expired while queued', function() {
+    var called = [], responses = [];
+    test.receiver.on('message', function(m) { responses.push(m.properties.correlationId); });
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind({ method: 'slowMethod', maxConcurrent: 1 }, function(value) {
+        called.push(value);
+        return Promise.delay(100);
+      });
+
+      return Promise.all([
+        sender.send({ method: 'slowMethod', params: [ 1 ] }, {
+          properties: { replyTo: 'rpc.response', correlationId: 'first' }
+        }),
+        sender.send({ method: 'slowMethod', params: [ 2 ] }, {
+          header: { ttl: 50 },
+          properties: { replyTo: 'rpc.response', correlationId: 'second', creationTime: new Date() }
+        })
+      ]);
+    })
+    .delay(200)
+    .then(function() {
+      expect(called).to.eql([ 1 ]);
+      expect(responses).to.eql([ 'first' ]);
+    });
+  });
+
+  it('should throw for invalid method timeouts', function() {
+    return test.client.createRpcServer('rpc.request')
+      .then(function(server) {
+        expect(function() { server.bind({ method: 'one', timeout: 0 }, function() {}); })
+          .to.throw(errors.InvalidMethodDefinitionError);
+        expect(function() { server.bind({ method: 'two', timeout: '1s' }, function() {}); })
+          .to.throw(errors.InvalidMethodDefinitionError);
+      });
+  });
+}); // deadlines
+
+describe('reply senders', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  function countSenders(client) {
+    var counts = {}, createSender = client.createSender;
+    client.createSender = function(address) {
+      counts[address] = (counts[address] || 0) + 1;
+      return createSender.apply(this, arguments);
+    };
+
+    return counts;
+  }
+
+  it('should reuse reply senders, sharing senders being attached', function() {
+    var counts = countSenders(test.client);
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { concurrency: 4 }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('testMethod', function(value) { return value; });
+      return Promise.all([ 1, 2, 3, 4 ].map(function(v) { return client.call('testMethod', v); }))
+        .then(function(results) {
+          expect(results).to.eql([ 1, 2, 3, 4 ]);
+          return client.call('testMethod', 5);
+        })
+        .then(function(result) {
+          expect(result).to.equal(5);
+          expect(counts[client._replyTo]).to.equal(1);
+        });
+    });
+  });
+
+  it('should detach idle and least recently used reply senders', function() {
+    var counts = countSenders(test.client), clients;
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { replySenders: { maxSize: 1, idleTimeout: 100 } }),
+      test.client.createRpcClient('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, first, second) {
+      clients = [ first, second ];
+      server.bind('testMethod', function(value) { return value; });
+      return Promise.mapSeries([ first, second, first ], function(client, idx) {
+        return client.call('testMethod', idx + 1);
+      })
+      .then(function(results) {
+        expect(results).to.eql([ 1, 2, 3 ]);
+        expect(server._senders.size).to.equal(1);
+        return Promise.delay(200);
+      })
+      .then(function() {
+        expect(server._senders.size).to.equal(0);
+        return second.call('testMethod', 4);
+      });
+    })
+    .then(function(result) {
+      expect(result).to.equal(4);
+      expect(counts[clients[0]._replyTo]).to.equal(2);
+      expect(counts[clients[1]._replyTo]).to.equal(2);
+    });
+  });
+
+  it('should replace reply senders after link errors', function() {
+    var counts = countSenders(test.client);
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('testMethod', function(value) { return value; });
+      return client.call('testMethod', 1)
+        .then(function() {
+          return server._senders.use(client._replyTo, function(sender) {
+            sender.emit('errorReceived', new Error('link failed'));
+          });
+        })
+        .then(function() {
+          expect(server._senders.size).to.equal(0);
+          return client.call('testMethod', 2);
+        })
+        .then(function(result) {
+          expect(result).to.equal(2);
+          expect(counts[client._replyTo]).to.equal(2);
+        });
+    });
+  });
+
+  it('should detach reply senders when closed', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('testMethod', function() { return true; });
+      return client.call('testMethod')
+        .then(function() {
+          expect(server._senders.size).to.equal(1);
+          return server.close();
+        })
+        .then(function() { expect(server._senders.size).to.equal(0); });
+    });
+  });
+}); // reply senders
+
+describe('tracing', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should start a child span of an incoming traceparent', function(done) {
+    var tracer = new rpc.Tracing.InMemoryTracer();
+    test.receiver.on('message', function(m) {
+      expectResult(m, 'llama', true);
+      expect(tracer.spans).to.have.length(1);
+
+      var span = tracer.spans[0];
+      expect(span.kind).to.equal('server');
+      expect(span.parentSpanId).to.equal('00f067aa0ba902b7');
+      expect(span.context().traceId).to.equal('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(span.context().traceState).to.equal('congo=t61rcWkgMzE');
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request', { tracer: tracer }),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() { return true; });
+      return sender.send({ method: 'testMethod' }, {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' },
+        applicationProperties: {
+          traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+          tracestate: 'congo=t61rcWkgMzE'
+        }
+      });
+    });
+  });
+
+  it('should ignore invalid traceparent headers', function() {
+    var parse = rpc.Tracing.parseTraceparent;
+    expect(parse('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).to.eql({
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', traceFlags: 1
+    });
+
+    expect(parse('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).to.be.null;
+    expect(parse('00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01')).to.be.null;
+    expect(parse('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).to.be.null;
+    expect(parse('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra')).to.be.null;
+    expect(parse('llama')).to.be.null;
+    expect(parse(undefined)).to.be.null;
+  });
+}); // tracing
+
+describe('metrics', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should record requests and outcomes per method', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { metrics: true }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('testMethod', function() { return true; });
+      server.bind('failingMethod', function() { throw new errors.InvalidParamsError('nope'); });
+      return Promise.all([
+        client.call('testMethod'),
+        client.call('failingMethod').reflect(),
+        client.call('someUnknownMethod').reflect(),
+        client.call([ { method: 'testMethod' }, { method: 'testMethod' }, { method: 'failingMethod' } ])
+      ])
+      .then(function() {
+        var metric = function(name) { return server.metrics.get('amqp_rpc_server_' + name); };
+        expect(metric('requests_total').get({ method: 'testMethod' })).to.equal(3);
+        expect(metric('successes_total').get({ method: 'testMethod' })).to.equal(3);
+        expect(metric('errors_total').get({ method: 'failingMethod', code: '-32602' })).to.equal(2);
+        expect(metric('errors_total').get({ method: '<unknown>', code: '-32601' })).to.equal(1);
+        expect(metric('in_flight').get({ method: 'testMethod' })).to.equal(0);
+        expect(metric('request_duration_seconds').get({ method: 'failingMethod' }).count)
+          .to.equal(2);
+        expect(metric('batch_size').get()).to.eql({ count: 1, sum: 3 });
+        expect(metric('timeouts_total')).to.not.exist;
+      });
+    });
+  });
+
+  it('should expose metrics through rpc.metrics', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', { metrics: true, exposeMetrics: true }),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind('testMethod', function() { return true; });
+      return client.call('testMethod')
+        .then(function() {
+          return Promise.all([ client.call('rpc.metrics'), client.call('rpc.metrics', 'json') ]);
+        });
+    })
+    .spread(function(text, json) {
+      expect(text).to.contain('# TYPE amqp_rpc_server_requests_total counter');
+      expect(text).to.contain('amqp_rpc_server_requests_total{method="testMethod"} 1');
+      expect(json.amqp_rpc_server_successes_total.values)
+        .to.deep.include.members([ { labels: { method: 'testMethod' }, value: 1 } ]);
+    });
+  });
+
+  it('should render metrics in the Prometheus text format', function() {
+    var registry = new rpc.MetricsRegistry(),
+        counter = registry.counter('test_total', 'A test counter'),
+        histogram = registry.histogram('test_seconds', 'A test histogram', [ 0.1, 1 ]);
+    counter.inc({ method: 'say "hi"\n' });
+    counter.inc({ method: 'say "hi"\n' }, 2);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 5);
+
+    expect(registry.counter('test_total')).to.equal(counter);
+    expect(function() { registry.gauge('test_total'); }).to.throw(TypeError);
+    expect(registry.toPrometheus()).to.equal([
+      '# HELP test_total A test counter',
+      '# TYPE test_total counter',
+      'test_total{method="say \\"hi\\"\\n"} 3',
+      '# HELP test_seconds A test histogram',
+      '# TYPE test_seconds histogram',
+      'test_seconds_bucket{le="0.1"} 1',
+      'test_seconds_bucket{le="1"} 2',
+      'test_seconds_bucket{le="+Inf"} 3',
+      'test_seconds_sum 5.55',
+      'test_seconds_count 3',
+      ''
+    ].join('\n'));
+  });
+}); // metrics
+
+describe('close', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should finish in-flight requests when draining', function() {
+    var responses = [];
+    test.receiver.on('message', function(m) { responses.push(m.body); });
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      var closed;
+      server.bind('slowMethod', function() {
+        closed = server.close({ drain: true });
+        return Promise.delay(50).return('done');
+      });
+
+      sender.send({ method: 'slowMethod' }, {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+
+      return Promise.delay(100).then(function() { return closed; });
+    })
+    .delay(50)
+    .then(function() { expect(responses).to.eql([ { result: 'done' } ]); });
+  });
+
+  it('should stop processing requests once closed', function() {
+    var called = false;
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() { called = true; });
+      return server.close()
+        .then(function() { return sender.send({ method: 'testMethod' }); });
+    })
+    .delay(100)
+    .then(function() { expect(called).to.be.false; });
+  });
+}); // close
+
+describe('codecs', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should reply to msgpack requests with msgpack', function(done) {
+    test.receiver.on('message', function(m) {
+      expect(m.properties.contentType).to.equal('application/msgpack');
+      expect(Buffer.isBuffer(m.body)).to.be.true;
+      m.body = notepack.decode(m.body);
+      expectResult(m, 'llama', { one: 1, two: [ 'two' ] });
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function(one, two) { return { one: one, two: two }; });
+      return sender.send(notepack.encode({ method: 'testMethod', params: [ 1, [ 'two' ] ] }), {
+        properties: {
+          replyTo: 'rpc.response', correlationId: 'llama', contentType: 'application/msgpack'
+        }
+      });
+    });
+  });
+
+  it('should reply to json string requests with json strings', function(done) {
+    test.receiver.on('message', function(m) {
+      expect(m.properties.contentType).to.equal('application/json');
+      expect(m.body).to.be.a('string');
+      m.body = JSON.parse(m.body);
+      expectResult(m, 'llama', 42);
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function(value) { return value * 2; });
+      return sender.send(JSON.stringify({ method: 'testMethod', params: [ 21 ] }), {
+        properties: {
+          replyTo: 'rpc.response', correlationId: 'llama', contentType: 'application/json'
+        }
+      });
+    });
+  });
+
+  it('should pass binary values through unchanged', function(done) {
+    var bytes = Buffer.from([ 0xff, 0x00, 0xfe, 0x7b ]), received;
+    test.receiver.on('message', function(m) {
+      expect(m.properties.contentType).to.equal('application/octet-stream');
+      expect(Buffer.isBuffer(received)).to.be.true;
+      expect(received.equals(bytes)).to.be.true;
+      expect(Buffer.isBuffer(m.body.result)).to.be.true;
+      expect(m.body.result.equals(bytes)).to.be.true;
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function(value) { received = value; return value; });
+      return sender.send({ method: 'testMethod', params: [ bytes ] }, {
+        properties: {
+          replyTo: 'rpc.response', correlationId: 'llama',
+          contentType: 'application/octet-stream'
+        }
+      });
+    });
+  });
+
+  it('should not parse json in a binary body', function(done) {
+    test.receiver.on('message', function(m) {
+      expect(m.properties.contentType).to.equal('application/octet-stream');
+      expectError(m, 'llama', ErrorCode.InvalidRequest, 'Missing required property: method');
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function(value) { return value; });
+      var body = Buffer.from(JSON.stringify({ method: 'testMethod', params: [ 'test' ] }));
+      return sender.send(body, {
+        properties: {
+          replyTo: 'rpc.response', correlationId: 'llama',
+          contentType: 'application/octet-stream'
+        }
+      });
+    });
+  });
+
+  it('should return a parse error for unknown content types', function(done) {
+    test.receiver.on('message', function(m) {
+      expect(m.properties.contentType).to.not.exist;
+      expectError(m, 'llama', ErrorCode.ParseError, 'Unsupported content type: text/llama');
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() { return true; });
+      return sender.send('testMethod', {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama', contentType: 'text/llama' }
+      });
+    });
+  });
+
+  it('should support custom codecs', function(done) {
+    var codec = {
+      encode: function(value) { return 'llama:' + JSON.stringify(value); },
+      decode: function(body) { return JSON.parse(body.replace(/^llama:/, '')); }
+    };
+
+    test.receiver.on('message', function(m) {
+      expect(m.properties.contentType).to.equal('text/llama');
+      m.body = codec.decode(m.body);
+      expectResult(m, 'llama', true);
+      done();
+    });
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request', { codecs: { 'text/llama': codec } }),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() { return true; });
+      return sender.send(codec.encode({ method: 'testMethod' }), {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama', contentType: 'text/llama' }
+      });
+    });
+  });
+}); // codecs
+
+describe('validation', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() {
+    return test.setup()
+      .then(function() { return test.client.createRpcServer('rpc.request'); })
+      .then(function(server) {
+        test.server = server;
+        test.server.bind({
+          method: 'testMethod',
+          params: {
+            type: 'object',
+            properties: {
+              one: { type: 'integer', minimum: 1900, maximum: 2013, exclusiveMaximum: true },
+              two: { type: 'string' },
+              three: { type: 'boolean' }
+            },
+            required: [ 'two', 'three' ]
+          }
+        }, function(one, two, three) {
+          return true;
+        });
+      });
+  });
+
+  afterEach(function() {
+    return test.teardown()
+      .then(function() { delete test.server; });
+  });
+
+  describe('errors', function() {
+    it('should throw an error when defining validations for unknown parameters', function() {
+      expect(function() {
+        test.server.bind({
+          method: 'invalid',
+          params: {
+            type: 'object',
+            properties: {
+              one: { type: 'string' }
+            },
+            required: [ 'one' ]
+          }
+        }, function(first) {});
+      }).to.throw(errors.InvalidValidationDefinitionError);
+    });
+  });
+
+  it('should allow validating parameters based on schema', function(done) {
+    test.receiver.on('message', function(m) {
+      expect(m.body).to.have.key('result');
+      expect(m.body.result).to.equal(true);
+      done();
+    });
+
+    test.client.createSender('rpc.request')
+      .then(function(sender) {
+        return sender.send({ method: 'testMethod', params: [ 1901, 'two', false ] }, {
+          properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+        });
+      });
+  });
+
+  it('should return an error if validation fails', function(done) {
+    test.receiver.on('message', function(m) {
+      expect(m.body).to.have.key('error');
+      done();
+    });
+
+    test.client.createSender('rpc.request')
+      .then(function(sender) {
+        return sender.send({ method: 'testMethod', params: [ 'notANumber', -1, 'notABoolean' ] }, {
+          properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+        });
+      });
+  });
+
+}); // validation
+
+describe('middleware', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should run middleware in order around the method call', function() {
+    var calls = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server
+        .use(function(ctx, next) {
+          calls.push('outer:before');
+          return next().then(function() {
+            calls.push('outer:after');
+            ctx.response.result = { wrapped: ctx.response.result };
+          });
+        })
+        .use(function(ctx, next) {
+          calls.push('inner:before');
+          expect(ctx.request).to.eql({ method: 'testMethod', params: [ 21 ] });
+          return Promise.delay(10)
+            .then(next)
+            .then(function() {
+              calls.push('inner:after');
+              expect(ctx.args).to.eql([ 21 ]);
+              expect(ctx.response).to.eql({ result: 42 });
+            });
+        });
+
+      server.bind('testMethod', function(value) {
+        calls.push('method');
+        return value * 2;
+      });
+
+      return client.call('testMethod', 21);
+    })
+    .then(function(result) {
+      expect(result).to.eql({ wrapped: 42 });
+      expect(calls).to.eql([ 'outer:before', 'inner:before', 'method', 'inner:after', 'outer:after' ]);
+    });
+  });
+
+  it('should respond with errors thrown by middleware', function() {
+    var UnauthorizedError = errors.define('UnauthorizedError', -32001, 'Unauthorized'),
+        called = false;
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.use(function(ctx, next) {
+        return Promise.delay(10)
+          .then(function() {
+            if (ctx.applicationProperties.token !== 'llama') throw new UnauthorizedError();
+            return next();
+          });
+      });
+
+      server.bind('testMethod', function() { called = true; });
+      return Promise.all([
+        expect(client.call('testMethod')).to.be.rejectedWith(UnauthorizedError),
+        client.callWithOptions('testMethod', [], { applicationProperties: { token: 'llama' } })
+      ]);
+    })
+    .then(function() { expect(called).to.be.true; });
+  });
+
+  it('should respond with an internal error when middleware throws a plain error', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.use(function(ctx, next) {
+        if (ctx.request.method === 'failingMethod')
+          return Promise.delay(10).then(function() { throw new Error('token lookup failed'); });
+        return next();
+      });
+
+      server.bind('failingMethod', function() { return true; });
+      server.bind('testMethod', function() { return 'works'; });
+      return expect(client.call('failingMethod'))
+        .to.be.rejectedWith(errors.InternalError, 'Internal error')
+        .then(function() { return client.call('testMethod'); });
+    })
+    .then(function(result) { expect(result).to.equal('works'); });
+  });
+
+  it('should run middleware for each entry of a batch', function() {
+    var methods = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.use(function(ctx, next) {
+        methods.push([ ctx.request.method, ctx.batchIndex ]);
+        if (ctx.request.method === 'hiddenMethod') return;
+        return next();
+      });
+
+      server.bind('testMethod', function() { return true; });
+      server.bind('hiddenMethod', function() { return true; });
+      return client.call([
+        { method: 'testMethod', id: 0 },
+        { method: 'hiddenMethod', id: 1 },
+        { method: 'unknownMethod', id: 2 }
+      ]);
+    })
+    .then(function(result) {
+      expect(methods).to.eql([ [ 'testMethod', 0 ], [ 'hiddenMethod', 1 ], [ 'unknownMethod', 2 ] ]);
+      expect(result.length).to.equal(2);
+      expect(result.entries.map(function(e) { return e.id; })).to.eql([ 0, 2 ]);
+      expect(result.get(0)).to.be.true;
+      expect(result.entries[1].reason).to.be.an.instanceOf(errors.MethodNotFoundError);
+    });
+  });
+
+  it('should not answer batches when middleware leaves out every entry', function(done) {
+    test.receiver.on('message', function(m) { done('this should not happen'); });
+    Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createSender('rpc.request')
+    ])
+    .spread(function(server, sender) {
+      server.use(function(ctx, next) {});
+      server.bind('testMethod', function() { return true; });
+      return sender.send([ { method: 'testMethod' }, { method: 'testMethod' } ], {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    })
+    .delay(100)
+    .then(function() { done(); });
+  });
+
+  it('should support method-level middleware', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.bind({
+        method: 'testMethod',
+        middleware: function(ctx, next) {
+          ctx.args[0] = ctx.args[0].toUpperCase();
+          return next();
+        }
+      }, function(value) { return value; });
+
+      server.bind('otherMethod', function(value) { return value; });
+      return Promise.all([ client.call('testMethod', 'llama'), client.call('otherMethod', 'llama') ]);
+    })
+    .then(function(results) { expect(results).to.eql([ 'LLAMA', 'llama' ]); });
+  });
+
+  it('should respond with an error if next is called more than once', function() {
+    return Promise.all([
+      test.client.createRpcServer('rpc.request'),
+      test.client.createRpcClient('rpc.request')
+    ])
+    .spread(function(server, client) {
+      server.use(function(ctx, next) { return next().then(next); });
+      server.bind('testMethod', function() { return true; });
+      return expect(client.call('testMethod'))
+        .to.be.rejectedWith(errors.InternalError, 'next() called multiple times');
+    });
+  });
+
+  it('should throw when using invalid middleware', function() {
+    return test.client.createRpcServer('rpc.request')
+      .then(function(server) {
+        expect(function() { server.use('llama'); }).to.throw(errors.InvalidMiddlewareError);
+        expect(function() {
+          server.bind({ method: 'testMethod', middleware: [ 'llama' ] }, function() {});
+        }).to.throw(errors.InvalidMethodDefinitionError);
+      });
+  });
+}); // middleware
+
+describe('interceptor', function() {
+  before(function() { amqp.use(rpc()); });
+  beforeEach(function() { return test.setup(); });
+  afterEach(function() { return test.teardown(); });
+
+  it('should allow users to intercept the request process (for custom disposition)', function(done) {
+    var received = 0;
+    test.receiver.on('message', function(m) { done('this should not happen'); });
+    var interceptor = function(receiver, message, request) {
+      if (received === 0) {
+        receiver.release(message);
+        received++;
+        return false;
+      }
+
+      receiver.accept(message);
+      process.nextTick(function() { done(); });
+      return false;
+    };
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request.queue', { interceptor: interceptor }),
+      test.client.createSender('rpc.request.queue')
+    ])
+    .spread(function(server, sender) {
+      server.bind({
+        method: 'testInterceptor'
+      }, function() { return true; });
+
+      return sender.send({ method: 'testInterceptor', params: [ 'notANumber' ] }, {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    });
+  });
+
+  it('should allow users define a completionInterceptor', function(done) {
+    var received = 0;
+    test.receiver.on('message', function(m) { done('this should not happen'); });
+    var interceptor = function(receiver, message, request, response) {
+      expect(response).to.eql({ result: true });
+      if (received === 0) {
+        receiver.release(message);
+        received++;
+        return false;
+      }
+
+      receiver.accept(message);
+      process.nextTick(function() { done(); });
+      return false;
+    };
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request.queue', { completionInterceptor: interceptor }),
+      test.client.createSender('rpc.request.queue')
+    ])
+    .spread(function(server, sender) {
+      server.bind({
+        method: 'testCompletionInterceptor'
+      }, function() { return true; });
+
+      return sender.send({ method: 'testCompletionInterceptor', params: [ 'notANumber' ] }, {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    });
+  });
+
+  it('should allow method-level interceptors', function(done) {
+    var received = 0;
+    test.receiver.on('message', function(m) { done('this should not happen'); });
+    var interceptor = function(receiver, message, request) {
+      if (received === 0) {
+        receiver.release(message);
+        received++;
+        return false;
+      }
+
+      receiver.accept(message);
+      process.nextTick(function() { done(); });
+      return false;
+    };
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request.queue'),
+      test.client.createSender('rpc.request.queue')
+    ])
+    .spread(function(server, sender) {
+      server.bind({
+        method: 'testInterceptor',
+        interceptor: interceptor
+      }, function() { return true; });
+
+      return sender.send({ method: 'testInterceptor', params: [ 'notANumber' ] }, {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    });
+  });
+
+  it('should call the interceptor once for batch requests, before settling them', function(done) {
+    var calls = 0;
+    test.receiver.on('message', function(m) { done('this should not happen'); });
+    var interceptor = function(receiver, message, request) {
+      calls++;
+      expect(request).to.have.length(2);
+      receiver.accept(message);
+      setTimeout(function() {
+        expect(calls).to.equal(1);
+        done();
+      }, 100);
+      return false;
+    };
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request.queue', { interceptor: interceptor }),
+      test.client.createSender('rpc.request.queue')
+    ])
+    .spread(function(server, sender) {
+      server.bind('testMethod', function() { return true; });
+      return sender.send([ { method: 'testMethod' }, { method: 'testMethod' } ], {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    });
+  });
+
+  it('should call the completionInterceptor once with the whole batch response', function(done) {
+    var calls = 0;
+    test.receiver.on('message', function(m) { done('this should not happen'); });
+    var interceptor = function(receiver, message, request, response) {
+      calls++;
+      expect(request).to.have.length(2);
+      expect(response).to.eql([ { result: 1 }, { result: 'two' } ]);
+      setTimeout(function() {
+        expect(calls).to.equal(1);
+        done();
+      }, 100);
+      return false;
+    };
+
+    Promise.all([
+      test.client.createRpcServer('rpc.request.queue', { completionInterceptor: interceptor }),
+      test.client.createSender('rpc.request.queue')
+    ])
+    .spread(function(server, sender) {
+      server.bind('firstMethod', function() { return 1; });
+      server.bind('secondMethod', function() { return 'two'; });
+      return sender.send([ { method: 'firstMethod' }, { method: 'secondMethod' } ], {
+        properties: { replyTo: 'rpc.response', correlationId: 'llama' }
+      });
+    });
+  });
+
+
+  it('should settle messages when an interceptor throws', function() {
+    var modified = [], logged = [];
+    return Promise.all([
+      test.client.createRpcServer('rpc.request', {
+        interceptor: function(receiver, message, request) {
+          if (request.method === 'failingMethod') throw new Error('interceptor failed');
+          return true;
+        }
+      }),
+      test.client.createRpcClient('rpc.request', { timeout: 200 })
+    ])
+    .spread(function(server, client) {
+      server._logger = { error: function(entry) { logged.push(entry.message); } };
+      var modify = server._receiver.modify;
+      server._receiver.modify = function(m, options) {
+        modified.push(options);
+        return modify.apply(this, arguments);
+      };
+
+      server.bind('failingMethod', function() { return true; });
+      server.bind('testMethod', function() { return 'works'; });
+      return expect(client.call('failingMethod')).to.be.rejectedWith(errors.RequestTimeoutError)
+        .then(function() { return client.call('testMethod'); });
+    })
+    .then(function(result) {
+      expect(result).to.equal('works');
+      expect(logged).to.eql([ 'failed to process message' ]);
+      expect(modified).to.eql([ { deliveryFailed: true, undeliverableHere: true } ]);
+    });
+  });
 }); // interceptor
 
 }); // server